@@ -0,0 +1,363 @@
+// buildingInspector.js - Side panel for one building: production, stock, needs and controls
+import { getBuildingType, getRecipes, getActiveRecipe } from './buildingTypes.js';
+import { getDepositType } from './ruleset.js';
+import {
+  BUILDING_PRIORITIES,
+  checkDeposit,
+  getBuildingDeposit,
+  getBuildingNeeds,
+  getStorageCapacity,
+  setBuildingPaused,
+  setBuildingRecipe,
+} from './buildingProduction.js';
+import { formatYieldModifiers } from './yieldModifiers.js';
+import { addInspectorStyles } from './inspectorStyles.js';
+import { COMMUTE_RADIUS } from './population.js';
+import { getBuildingLevel, getMaxLevel, getNextUpgrade, getLevelStats } from './buildingUpgrades.js';
+
+// Why a building is not producing, as shown in the panel
+const STALL_LABELS = {
+  missing_input: '⚠️ Waiting for inputs',
+  output_full: '■ Output full - needs a pickup',
+  paused: '⏸ Paused',
+  no_deposit: '⛏️ No deposit to work on this tile',
+  depleted: '∅ Deposit worked out',
+  no_workers: '👷 No workers - build a house nearby',
+};
+
+export class BuildingInspector {
+  /**
+   * @param {Object} gameState - The game state object
+   * @param {Object} ui - The UIManager, for resource icons, recipe text and notifications
+   * @param {Object} actions - Callbacks the panel's buttons use: upgrade(tileKey), which pays
+   *   for and applies the building's next level
+   */
+  constructor(gameState, ui, actions) {
+    this.gameState = gameState;
+    this.ui = ui;
+    this.actions = actions;
+    this.tileKey = null;
+
+    this.createInspectorHTML();
+
+    // Progress and stock change every production step
+    this.refreshInterval = setInterval(() => this.update(), 500);
+  }
+
+  createInspectorHTML() {
+    document.body.insertAdjacentHTML(
+      'beforeend',
+      '<div id="building-inspector"><div id="building-inspector-controls"></div><div id="building-inspector-status"></div></div>'
+    );
+
+    if (!document.getElementById('building-inspector-styles')) {
+      const style = document.createElement('style');
+      style.id = 'building-inspector-styles';
+      style.textContent = `
+        #building-inspector {
+          display: none;
+          position: absolute;
+          top: 10px;
+          left: 50%;
+          transform: translateX(-50%);
+          width: 260px;
+          max-height: calc(100vh - 120px);
+          overflow-y: auto;
+          background: rgba(0, 0, 0, 0.85);
+          color: white;
+          padding: 10px;
+          border-radius: 5px;
+          font-size: 12px;
+          z-index: 1000;
+        }
+        #building-inspector.visible {
+          display: block;
+        }
+        #building-inspector select {
+          font-size: 11px;
+        }
+        .production-bar {
+          height: 8px;
+          background: #333;
+          border-radius: 4px;
+          overflow: hidden;
+          margin: 4px 0;
+        }
+        .production-bar-fill {
+          height: 100%;
+          background: #4bb543;
+        }
+        .production-bar-fill.stalled {
+          background: #f39c12;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+    addInspectorStyles();
+  }
+
+  /**
+   * Open the panel for the building on a tile
+   * @param {string} tileKey - "col,row" of the building
+   */
+  show(tileKey) {
+    this.tileKey = tileKey;
+    this.render();
+  }
+
+  hide() {
+    this.tileKey = null;
+    this.render();
+  }
+
+  getBuilding() {
+    return (this.tileKey && this.gameState.placed_buildings[this.tileKey]) || null;
+  }
+
+  // Draw the whole panel; controls are only redrawn here so open dropdowns are not reset
+  render() {
+    const container = document.getElementById('building-inspector');
+    const controls = document.getElementById('building-inspector-controls');
+    if (!container || !controls) return;
+
+    const building = this.getBuilding();
+    const buildingType = building && getBuildingType(building.type);
+    container.classList.toggle('visible', !!buildingType);
+    controls.innerHTML = '';
+    if (!buildingType) {
+      this.tileKey = null;
+      return;
+    }
+
+    const title = document.createElement('div');
+    title.innerHTML = `
+      <b>${buildingType.emoji} ${buildingType.name}</b> (${this.tileKey})
+      <button class="order-btn" data-action="close" title="Close" style="float: right;">✕</button>
+    `;
+    title.querySelector('[data-action="close"]').addEventListener('click', () => this.hide());
+    controls.appendChild(title);
+
+    if (getMaxLevel(buildingType) > 1) {
+      controls.appendChild(this.createUpgradeSection(building, buildingType));
+    }
+
+    if (buildingType.productionSpeed !== 0) {
+      controls.appendChild(this.createRecipeChooser(building, buildingType));
+      controls.appendChild(this.createProductionControls(building));
+    }
+
+    this.update();
+  }
+
+  // Only the live part: status, progress bar, stock and needs
+  update() {
+    const status = document.getElementById('building-inspector-status');
+    if (!status || !this.tileKey) return;
+
+    const building = this.getBuilding();
+    const buildingType = building && getBuildingType(building.type);
+    if (!buildingType) {
+      this.hide();
+      return;
+    }
+
+    status.innerHTML = '';
+    const inventory = building.inventory || {};
+
+    if (buildingType.productionSpeed !== 0) {
+      const progress = Math.min(1, building.productionProgress || 0);
+      const stalled = !!building.stallReason;
+      status.insertAdjacentHTML('beforeend', `
+        <div style="margin-top: 6px;">${stalled ? STALL_LABELS[building.stallReason] || building.stallReason : '▶ Producing'}</div>
+        <div class="production-bar"><div class="production-bar-fill ${stalled ? 'stalled' : ''}" style="width: ${Math.round(progress * 100)}%;"></div></div>
+      `);
+    } else if (buildingType.isHub) {
+      status.insertAdjacentHTML('beforeend', '<div style="margin-top: 6px; color: #aaa;">Stores goods for the rail network</div>');
+    }
+
+    if (buildingType.residents > 0) {
+      status.appendChild(this.createSection('Residents', [
+        `👥 ${buildingType.residents} living here, ${Math.round((building.fed ?? 1) * 100)}% fed`,
+      ]));
+    }
+    if (building.workforce) {
+      const { needed, assigned, fed } = building.workforce;
+      const lines = [`👷 ${assigned}/${needed} from houses within ${COMMUTE_RADIUS} hexes`];
+      if (assigned > 0 && fed < 1) {
+        lines.push(`🍽️ Only ${Math.round(fed * 100)}% fed - working slower`);
+      }
+      status.appendChild(this.createSection('Workers', lines));
+    }
+
+    if ((buildingType.yieldModifiers || []).length > 0 && building.yield) {
+      status.appendChild(this.createSection('Yield from surroundings', [formatYieldModifiers(building.yield)]));
+    }
+
+    const deposit = getBuildingDeposit(this.gameState, building);
+    const depositType = deposit && getDepositType(deposit.type);
+    if (depositType) {
+      status.appendChild(this.createSection('Deposit', [
+        `${depositType.icon} ${depositType.name}: ${Math.floor(deposit.remaining)}/${deposit.richness} left`,
+      ]));
+    }
+
+    // Houses keep no stock
+    if (buildingType.isHub || buildingType.productionSpeed !== 0) {
+      status.appendChild(this.createStockList('Inputs', inventory.inputs, buildingType, building));
+      status.appendChild(this.createStockList('Outputs', inventory.outputs, buildingType, building));
+    }
+
+    if (!buildingType.isHub && building.inventory) {
+      const needs = getBuildingNeeds(building, buildingType);
+      if (needs.length > 0) {
+        status.appendChild(this.createSection('Needs for next cycle', needs.map(need =>
+          `${need.amount} ${this.ui.getResourceIcon(need.type)} more (${need.available}/${need.total})`
+        )));
+      }
+    }
+  }
+
+  createStockList(heading, items, buildingType, building) {
+    const lines = Object.entries(items || {})
+      .filter(([, amount]) => amount > 0)
+      .map(([resourceType, amount]) => {
+        const capacity = getStorageCapacity(buildingType, resourceType, building);
+        const limit = capacity === Infinity ? '' : `/${capacity}`;
+        return `${this.ui.getResourceIcon(resourceType)} ${resourceType}: ${Math.floor(amount)}${limit}`;
+      });
+    return this.createSection(heading, lines.length > 0 ? lines : ['Empty']);
+  }
+
+  createSection(heading, lines) {
+    const section = document.createElement('div');
+    section.innerHTML = `<div class="inspector-heading">${heading}</div>`;
+    for (let line of lines) {
+      const item = document.createElement('div');
+      item.className = 'inspector-line';
+      item.textContent = line;
+      section.appendChild(item);
+    }
+    return section;
+  }
+
+  // Current level and what the next one costs and gives
+  createUpgradeSection(building, buildingType) {
+    const level = getBuildingLevel(building);
+    const section = document.createElement('div');
+    section.innerHTML = `<div class="inspector-heading">Level ${level}/${getMaxLevel(buildingType)}</div>`;
+
+    const upgrade = getNextUpgrade(building, buildingType);
+    if (!upgrade) {
+      section.insertAdjacentHTML('beforeend', '<div class="inspector-line" style="color: #888;">Fully upgraded</div>');
+      return section;
+    }
+
+    const current = getLevelStats(buildingType, level);
+    const next = getLevelStats(buildingType, level + 1);
+    const gains = [
+      ['speedMultiplier', 'speed'],
+      ['storageMultiplier', 'storage'],
+      ['inputEfficiency', 'input efficiency'],
+    ]
+      .filter(([stat]) => next[stat] !== current[stat])
+      .map(([stat, label]) => `${label} ×${current[stat]} → ×${next[stat]}`);
+    if (gains.length > 0) {
+      section.insertAdjacentHTML('beforeend', `<div class="inspector-line">${gains.join(', ')}</div>`);
+    }
+
+    const cost = Object.entries(upgrade.cost)
+      .map(([resourceType, amount]) => `${amount} ${this.ui.getResourceIcon(resourceType)}`)
+      .join(' ');
+    const actions = document.createElement('div');
+    actions.className = 'inspector-actions';
+    const button = document.createElement('button');
+    button.textContent = `⬆️ Upgrade to level ${level + 1}${cost ? ` (${cost})` : ''}`;
+    button.addEventListener('click', () => {
+      this.actions.upgrade(this.tileKey);
+      this.render();
+    });
+    actions.appendChild(button);
+    section.appendChild(actions);
+    return section;
+  }
+
+  // The building's recipe, with a choice when its type has more than one
+  createRecipeChooser(building, buildingType) {
+    const section = document.createElement('div');
+    section.innerHTML = '<div class="inspector-heading">Recipe</div>';
+
+    const recipes = getRecipes(buildingType);
+    const activeRecipe = getActiveRecipe(building, buildingType);
+    if (recipes.length < 2) {
+      if (activeRecipe) {
+        section.insertAdjacentHTML('beforeend', `<div class="inspector-line">${this.ui.formatRecipe(activeRecipe)}</div>`);
+      }
+      return section;
+    }
+
+    const deposit = getBuildingDeposit(this.gameState, building);
+    recipes.forEach(recipe => {
+      const button = document.createElement('button');
+      button.className = 'building-option';
+      if (recipe === activeRecipe) {
+        button.classList.add('selected');
+      }
+      // Recipes that extract from a deposit the tile lacks cannot be chosen
+      const depositProblem = checkDeposit(recipe, deposit);
+      if (depositProblem && recipe !== activeRecipe) {
+        button.disabled = true;
+        button.title = STALL_LABELS[depositProblem];
+      }
+      button.style.display = 'block';
+      button.innerHTML = `
+        <div>${recipe.name}</div>
+        <div class="building-cost">${this.ui.formatRecipe(recipe)}</div>
+      `;
+      button.addEventListener('click', () => {
+        if (setBuildingRecipe(building, buildingType, recipe.id, deposit)) {
+          this.ui.showNotification(`${buildingType.name} now runs ${recipe.name}`, 'success');
+        }
+        this.render();
+      });
+      section.appendChild(button);
+    });
+    return section;
+  }
+
+  createProductionControls(building) {
+    const controls = document.createElement('div');
+    controls.className = 'inspector-actions';
+
+    const pauseButton = document.createElement('button');
+    pauseButton.textContent = building.paused ? '▶ Resume' : '⏸ Pause';
+    pauseButton.addEventListener('click', () => {
+      setBuildingPaused(building, !building.paused);
+      this.render();
+    });
+    controls.appendChild(pauseButton);
+
+    const priority = building.priority || 'normal';
+    const priorityLabel = document.createElement('label');
+    priorityLabel.title = 'Trains load for higher priority buildings first at hubs, and keep back cargo for them if they are later stops on the route';
+    priorityLabel.innerHTML = `
+      Priority
+      <select>
+        ${[...BUILDING_PRIORITIES].reverse().map(level => `<option value="${level}" ${level === priority ? 'selected' : ''}>${level[0].toUpperCase()}${level.slice(1)}</option>`).join('')}
+      </select>
+    `;
+    priorityLabel.querySelector('select').addEventListener('change', (e) => {
+      building.priority = e.target.value;
+    });
+    controls.appendChild(priorityLabel);
+
+    return controls;
+  }
+
+  destroy() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+    }
+    const container = document.getElementById('building-inspector');
+    if (container) container.remove();
+  }
+}
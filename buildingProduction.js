@@ -1,7 +1,15 @@
 // buildingProduction.js
 
-import { getBuildingType } from './buildingTypes.js';
+import { getBuildingType, getRecipes, getActiveRecipe } from './buildingTypes.js';
+import { getHubResourceTotals } from './hubs.js';
+import { getDepositType, getDepositTypes } from './ruleset.js';
+import { getBuildingStats } from './buildingUpgrades.js';
 
+// Inputs are topped up to this many production cycles when a building has unlimited storage
+const UNLIMITED_INPUT_BUFFER_CYCLES = 10;
+
+// Restocking priorities, lowest first; buildings without one are 'normal'
+export const BUILDING_PRIORITIES = ['low', 'normal', 'high'];
 
 /**
  * Update all buildings' production progress and handle resource generation/consumption
@@ -9,9 +17,6 @@ import { getBuildingType } from './buildingTypes.js';
  * @param {number} deltaTime - Time elapsed since last update (in milliseconds)
  */
 export function updateBuildings(gameState) {
-  // Initialize hub resource totals tracker
-  const hubResourceTotals = {};
-  
   // Iterate through all placed buildings
   for (let tileKey in gameState.placed_buildings) {
     const building = gameState.placed_buildings[tileKey];
@@ -19,27 +24,6 @@ export function updateBuildings(gameState) {
     
     if (!buildingType) continue;
     
-    // Track hub inventories
-    if (building.type === 'hub') {
-      if (building.inventory && building.inventory.outputs) {
-        for (let resourceType in building.inventory.outputs) {
-          if (!hubResourceTotals[resourceType]) {
-            hubResourceTotals[resourceType] = 0;
-          }
-          hubResourceTotals[resourceType] += building.inventory.outputs[resourceType];
-        }
-      }
-      // Also check inputs if hubs store resources there
-      if (building.inventory && building.inventory.inputs) {
-        for (let resourceType in building.inventory.inputs) {
-          if (!hubResourceTotals[resourceType]) {
-            hubResourceTotals[resourceType] = 0;
-          }
-          hubResourceTotals[resourceType] += building.inventory.inputs[resourceType];
-        }
-      }
-    }
-    
     // Skip production for buildings with no production speed
     if (buildingType.productionSpeed === 0) continue;
     
@@ -47,22 +31,57 @@ export function updateBuildings(gameState) {
     if (!building.inventory) {
       building.inventory = {};
     }
+    if (!building.inventory.inputs) building.inventory.inputs = {};
+    if (!building.inventory.outputs) building.inventory.outputs = {};
     
     // Initialize production progress if it doesn't exist
     if (building.productionProgress === undefined) {
       building.productionProgress = 0;
     }
     
-    // Check if building can produce (has required inputs)
-    const canProduce = checkProductionRequirements(building, buildingType);
+    // The recipe this building is set to run
+    const recipe = getActiveRecipe(building, buildingType);
+    if (!recipe) continue;
+    
+    // The deposit under the building, if it has been worked (see claimDeposit)
+    const deposit = getBuildingDeposit(gameState, building);
+    const depositProblem = checkDeposit(recipe, deposit);
+    
+    // Workers from nearby houses, shared out by updatePopulation (see population.js)
+    const workforce = building.workforce;
+    
+    // Check if building can produce (not paused, has its deposit, workers, required inputs
+    // and room for its outputs). stallReason is read by the renderer and UI: null while producing.
+    building.stallReason = null;
+    building.productionRate = 0;
+    if (building.paused) {
+      building.stallReason = 'paused';
+    } else if (depositProblem) {
+      building.stallReason = depositProblem;
+    } else if (workforce && workforce.assigned === 0) {
+      building.stallReason = 'no_workers';
+    } else if (!checkProductionRequirements(building, buildingType, recipe)) {
+      building.stallReason = 'missing_input';
+    } else if (!hasRoomForOutputs(building, buildingType, recipe)) {
+      building.stallReason = 'output_full';
+    }
+    const canProduce = building.stallReason === null;
     
     if (canProduce) {
-      // Increment production progress
-      building.productionProgress += buildingType.productionSpeed;
+      // Increment production progress (a recipe may run at its own speed). building.yield
+      // holds the multiplier from neighbouring terrain and buildings (see yieldModifiers.js),
+      // and upgraded buildings run faster. Short-staffed or hungry buildings run slower.
+      const speed = recipe.productionSpeed || buildingType.productionSpeed;
+      const yieldMultiplier = building.yield ? building.yield.multiplier : 1;
+      const levelMultiplier = getBuildingStats(building, buildingType).speedMultiplier;
+      const workforceMultiplier = workforce ? workforce.multiplier : 1;
+      building.productionRate = speed * yieldMultiplier * levelMultiplier * workforceMultiplier *
+        (1 + getDepositBonus(recipe, deposit));
+      building.productionProgress += building.productionRate;
       
       // Check if production cycle is complete
       if (building.productionProgress >= 1.0) {
-        completeProductionCycle(building, buildingType);
+        completeProductionCycle(building, buildingType, recipe, deposit);
         building.productionProgress = 0; // Reset progress
       }
     } else {
@@ -71,8 +90,8 @@ export function updateBuildings(gameState) {
     }
   }
   
-  // Store hub totals in game state
-  gameState.hubResourceTotals = hubResourceTotals;
+  // Store hub totals (inputs and outputs of every hub) in game state
+  gameState.hubResourceTotals = getHubResourceTotals(gameState);
 }
 
 
@@ -80,18 +99,19 @@ export function updateBuildings(gameState) {
  * Check if building has required inputs to produce
  * @param {Object} building - The building instance
  * @param {Object} buildingType - The building type definition
+ * @param {Object} recipe - The recipe the building is running
  * @returns {boolean} - Whether building can produce
  */
-function checkProductionRequirements(building, buildingType) {
-  // Buildings with no consumption requirements can always produce
-  if (!buildingType.consumes || buildingType.consumes.length === 0) {
+function checkProductionRequirements(building, buildingType, recipe) {
+  // Recipes with no consumption requirements can always produce
+  if (!recipe.consumes || recipe.consumes.length === 0) {
     return true;
   }
   
   // Check if all required resources are available in inventory
-  for (let requirement of buildingType.consumes) {
+  for (let requirement of recipe.consumes) {
     const available = building.inventory.inputs[requirement.type] || 0;
-    if (available < requirement.amount) {
+    if (available < getConsumedAmount(building, buildingType, requirement)) {
       return false;
     }
   }
@@ -99,17 +119,150 @@ function checkProductionRequirements(building, buildingType) {
   return true;
 }
 
+/**
+ * Get how much of an input one production cycle uses, less for upgraded buildings
+ * @param {Object} building - The building instance
+ * @param {Object} buildingType - The building type definition
+ * @param {Object} requirement - One of the recipe's consumes, { type, amount }
+ * @returns {number}
+ */
+export function getConsumedAmount(building, buildingType, requirement) {
+  const efficiency = getBuildingStats(building, buildingType).inputEfficiency;
+  return Math.round((requirement.amount / efficiency) * 100) / 100;
+}
+
+/**
+ * Check if a full cycle's outputs fit in the building's storage
+ * @param {Object} building - The building instance
+ * @param {Object} buildingType - The building type definition
+ * @param {Object} recipe - The recipe the building is running
+ * @returns {boolean}
+ */
+function hasRoomForOutputs(building, buildingType, recipe) {
+  for (let output of recipe.produces || []) {
+    if (getFreeCapacity(building, buildingType, output.type, 'outputs') < output.amount) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Get how much of one resource a building can hold in each of its inputs and outputs.
+ * A per-resource entry in storageLimits wins over the building-wide storageLimit.
+ * @param {Object} buildingType - The building type definition
+ * @param {string} resourceType - Type of resource
+ * @param {Object} [building] - The building instance, when its upgrades should count
+ * @returns {number} - Capacity, Infinity when unlimited (-1 or not set)
+ */
+export function getStorageCapacity(buildingType, resourceType, building) {
+  let limit = buildingType.storageLimit;
+  if (buildingType.storageLimits && buildingType.storageLimits[resourceType] !== undefined) {
+    limit = buildingType.storageLimits[resourceType];
+  }
+  
+  if (limit === undefined || limit === null || limit < 0) {
+    return Infinity;
+  }
+  if (building) {
+    return Math.floor(limit * getBuildingStats(building, buildingType).storageMultiplier);
+  }
+  return limit;
+}
+
+/**
+ * Get the free space for a resource in a building's inputs or outputs
+ * @param {Object} building - The building instance
+ * @param {Object} buildingType - The building type definition
+ * @param {string} resourceType - Type of resource
+ * @param {string} slot - 'inputs' or 'outputs'
+ * @returns {number}
+ */
+export function getFreeCapacity(building, buildingType, resourceType, slot) {
+  const items = (building.inventory && building.inventory[slot]) || {};
+  const stored = items[resourceType] || 0;
+  return Math.max(0, getStorageCapacity(buildingType, resourceType, building) - stored);
+}
+
+/**
+ * Get the deposit kind a recipe can only be worked from, if any (a Mine's ore)
+ * @param {Object} recipe - The recipe
+ * @returns {Object|null} - Deposit type from the ruleset
+ */
+export function getRequiredDeposit(recipe) {
+  if (!recipe) return null;
+  for (let output of recipe.produces || []) {
+    const depositType = Object.values(getDepositTypes()).find(
+      (candidate) => candidate.required && candidate.resource === output.type
+    );
+    if (depositType) return depositType;
+  }
+  return null;
+}
+
+/**
+ * Start keeping track of what is left of the deposit under a tile. Call when a building
+ * is placed there; a deposit already being tracked keeps its depletion.
+ * @param {Object} gameState - The game state object
+ * @param {string} tileKey - "col,row" of the tile
+ * @param {Object|null} deposit - { type, richness } from generateDeposit
+ */
+export function claimDeposit(gameState, tileKey, deposit) {
+  if (!deposit) return;
+  if (!gameState.deposits) gameState.deposits = {};
+  if (!gameState.deposits[tileKey]) {
+    gameState.deposits[tileKey] = { ...deposit, remaining: deposit.richness };
+  }
+}
+
+/**
+ * Get the worked deposit under a building
+ * @param {Object} gameState - The game state object
+ * @param {Object} building - The building instance
+ * @returns {Object|null} - { type, richness, remaining }
+ */
+export function getBuildingDeposit(gameState, building) {
+  return (gameState.deposits && gameState.deposits[`${building.col},${building.row}`]) || null;
+}
+
+/**
+ * Check whether a recipe can be worked from the deposit under a building
+ * @param {Object} recipe - The recipe
+ * @param {Object|null} deposit - The worked deposit under the building (see getBuildingDeposit)
+ * @returns {string|null} - 'no_deposit' or 'depleted', null when it can
+ */
+export function checkDeposit(recipe, deposit) {
+  const depositType = getRequiredDeposit(recipe);
+  if (!depositType) return null;
+  if (!deposit || deposit.type !== depositType.id) return 'no_deposit';
+
+  const output = recipe.produces.find((item) => item.type === depositType.resource);
+  return deposit.remaining < output.amount ? 'depleted' : null;
+}
+
+// Extra production speed from working a deposit of a recipe's output
+function getDepositBonus(recipe, deposit) {
+  const depositType = deposit && getDepositType(deposit.type);
+  if (!depositType || deposit.remaining <= 0) return 0;
+
+  const worked = (recipe.produces || []).some((item) => item.type === depositType.resource);
+  return worked ? depositType.speedBonus : 0;
+}
+
 /**
  * Complete a production cycle - consume inputs and generate outputs
  * @param {Object} building - The building instance
  * @param {Object} buildingType - The building type definition
+ * @param {Object} recipe - The recipe the building is running
+ * @param {Object|null} deposit - The deposit under the building; what it yields is taken out of it
  */
-function completeProductionCycle(building, buildingType) {
+function completeProductionCycle(building, buildingType, recipe, deposit) {
   // Consume inputs
-  if (buildingType.consumes && buildingType.consumes.length > 0) {
-    for (let requirement of buildingType.consumes) {
-      // Should consume from inputs
-      building.inventory.inputs[requirement.type] -= requirement.amount;
+  if (recipe.consumes && recipe.consumes.length > 0) {
+    for (let requirement of recipe.consumes) {
+      // Should consume from inputs (rounded, as upgraded buildings use fractions of a unit)
+      const remaining = building.inventory.inputs[requirement.type] - getConsumedAmount(building, buildingType, requirement);
+      building.inventory.inputs[requirement.type] = Math.round(remaining * 100) / 100;
       
       // Ensure inventory doesn't go negative (safety check)
       if (building.inventory.inputs[requirement.type] < 0) {
@@ -118,10 +271,10 @@ function completeProductionCycle(building, buildingType) {
     }
   }
   
-  // Produce outputs
-  if (buildingType.produces) {
-    const outputType = buildingType.produces.type;
-    const outputAmount = buildingType.produces.amount;
+  // Produce outputs, including any by-products
+  for (let output of recipe.produces || []) {
+    const outputType = output.type;
+    const outputAmount = output.amount;
     
     if (!building.inventory.outputs[outputType]) {
       building.inventory.outputs[outputType] = 0;
@@ -129,13 +282,88 @@ function completeProductionCycle(building, buildingType) {
     
     building.inventory.outputs[outputType] += outputAmount;
     
-    // console.log(`🏭 ${buildingType.name} produced ${outputAmount}x ${outputType}`, {
+    const depositType = deposit && getDepositType(deposit.type);
+    if (depositType && depositType.resource === outputType && deposit.remaining > 0) {
+      deposit.remaining = Math.max(0, deposit.remaining - outputAmount);
+      if (deposit.remaining === 0) {
+        console.log(`⛏️ ${depositType.name} at (${building.col}, ${building.row}) is worked out`);
+      }
+    }
+    
+    // console.log(`🏭 ${recipe.name} produced ${outputAmount}x ${outputType}`, {
     //   tileKey: `${building.col},${building.row}`,
     //   inventory: building.inventory
     // });
   }
 }
 
+/**
+ * Switch the recipe a building runs. Progress on the old recipe is lost, and inputs the new
+ * recipe does not use move to the outputs so trains take them away, as much as the output
+ * storage has room for; the rest stays in the inputs. A recipe that needs a deposit the
+ * tile does not have (see checkDeposit) is refused.
+ * @param {Object} building - The building instance
+ * @param {Object} buildingType - The building type definition
+ * @param {string} recipeId - Id of one of the type's recipes
+ * @param {Object|null} deposit - The worked deposit under the building
+ * @returns {boolean} - Whether the recipe was changed
+ */
+export function setBuildingRecipe(building, buildingType, recipeId, deposit) {
+  const recipe = getRecipes(buildingType).find(candidate => candidate.id === recipeId);
+  if (!recipe) return false;
+  if (getActiveRecipe(building, buildingType) === recipe) return false;
+  if (checkDeposit(recipe, deposit)) return false;
+  
+  building.recipeId = recipe.id;
+  building.productionProgress = 0;
+  
+  if (building.inventory && building.inventory.inputs) {
+    const consumed = (recipe.consumes || []).map(requirement => requirement.type);
+    const outputs = building.inventory.outputs || (building.inventory.outputs = {});
+    for (let [resourceType, amount] of Object.entries(building.inventory.inputs)) {
+      if (consumed.includes(resourceType)) continue;
+      const moved = Math.min(amount, getFreeCapacity(building, buildingType, resourceType, 'outputs'));
+      if (moved <= 0) continue;
+      outputs[resourceType] = (outputs[resourceType] || 0) + moved;
+      if (moved < amount) {
+        building.inventory.inputs[resourceType] = amount - moved;
+      } else {
+        delete building.inventory.inputs[resourceType];
+      }
+    }
+  }
+  
+  console.log(`🔁 ${buildingType.name} switched to recipe "${recipe.name}"`, {
+    col: building.col,
+    row: building.row,
+  });
+  
+  return true;
+}
+
+/**
+ * Pause or resume a building's production. A paused building keeps its progress and
+ * still takes deliveries.
+ * @param {Object} building - The building instance
+ * @param {boolean} paused - Whether to pause
+ */
+export function setBuildingPaused(building, paused) {
+  building.paused = paused;
+  if (paused) {
+    building.stallReason = 'paused';
+  }
+}
+
+/**
+ * Get how highly a building ranks when trains restock from a hub
+ * @param {Object} building - The building instance
+ * @returns {number} - Index into BUILDING_PRIORITIES, higher is served first
+ */
+export function getBuildingPriority(building) {
+  const index = BUILDING_PRIORITIES.indexOf(building.priority);
+  return index === -1 ? BUILDING_PRIORITIES.indexOf('normal') : index;
+}
+
 
 /**
  * Start the building production loop
@@ -159,27 +387,38 @@ export function stopBuildingProductionLoop(intervalId) {
 }
 
 /**
- * Manually add resources to a building's inventory (for testing or train deliveries)
+ * Add resources to a building's inputs (train deliveries), up to its storage limit
  * @param {Object} building - The building instance
  * @param {string} resourceType - Type of resource
  * @param {number} amount - Amount to add
+ * @returns {number} - Amount actually added
  */
 export function addResourceToBuilding(building, resourceType, amount) {
   if (!building.inventory) {
     building.inventory = {};
   }
+  if (!building.inventory.inputs) {
+    building.inventory.inputs = {};
+  }
+  
+  const buildingType = getBuildingType(building.type);
+  const free = buildingType ? getFreeCapacity(building, buildingType, resourceType, 'inputs') : amount;
+  const accepted = Math.min(amount, free);
+  if (accepted <= 0) return 0;
   
-  if (!building.inventory[resourceType]) {
-    building.inventory[resourceType] = 0;
+  if (!building.inventory.inputs[resourceType]) {
+    building.inventory.inputs[resourceType] = 0;
   }
   
-  building.inventory[resourceType] += amount;
+  building.inventory.inputs[resourceType] += accepted;
   
-  console.log(`📦 Added ${amount}x ${resourceType} to building`, {
-    col: building.col,
-    row: building.row,
-    newAmount: building.inventory[resourceType]
-  });
+  // console.log(`📦 Added ${accepted}x ${resourceType} to building`, {
+  //   col: building.col,
+  //   row: building.row,
+  //   newAmount: building.inventory.inputs[resourceType]
+  // });
+  
+  return accepted;
 }
 
 export function removeResourceFromBuilding(building, resourceType, amount) {
@@ -225,25 +464,59 @@ export function getBuildingInventory(building) {
  * @returns {Array} - Array of needed resources with amounts
  */
 export function getBuildingNeeds(building, buildingType) {
-  if (!buildingType.consumes || buildingType.consumes.length === 0) {
+  const recipe = getActiveRecipe(building, buildingType);
+  if (!recipe || !recipe.consumes || recipe.consumes.length === 0) {
     return [];
   }
   
   const needs = [];
   
-  for (let requirement of buildingType.consumes) {
+  for (let requirement of recipe.consumes) {
     const available = building.inventory.inputs[requirement.type] || 0;
-    const needed = requirement.amount - available;
+    const total = getConsumedAmount(building, buildingType, requirement);
+    const needed = total - available;
     
     if (needed > 0) {
       needs.push({
         type: requirement.type,
         amount: needed,
-        total: requirement.amount,
+        total: total,
         available: available
       });
     }
   }
   
   return needs;
-}
\ No newline at end of file
+}
+
+/**
+ * Get how much of each consumed resource a building will accept from trains.
+ * Unlike getBuildingNeeds, which covers only the next cycle, this fills inputs up to
+ * the storage limit (or a buffer of cycles when storage is unlimited).
+ * @param {Object} building - The building instance
+ * @param {Object} buildingType - The building type definition
+ * @returns {Array} - Array of { type, amount } the building can take
+ */
+export function getInputDemand(building, buildingType) {
+  const recipe = getActiveRecipe(building, buildingType);
+  if (!recipe || !recipe.consumes || recipe.consumes.length === 0) {
+    return [];
+  }
+  
+  const inputs = (building.inventory && building.inventory.inputs) || {};
+  const demand = [];
+  
+  for (let requirement of recipe.consumes) {
+    let amount = getFreeCapacity(building, buildingType, requirement.type, 'inputs');
+    if (amount === Infinity) {
+      const available = inputs[requirement.type] || 0;
+      amount = Math.max(0, getConsumedAmount(building, buildingType, requirement) * UNLIMITED_INPUT_BUFFER_CYCLES - available);
+    }
+    
+    if (amount > 0) {
+      demand.push({ type: requirement.type, amount });
+    }
+  }
+  
+  return demand;
+}
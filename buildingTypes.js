@@ -1,5 +1,6 @@
 // buildingTypes.js
 
+// Built-in defaults. Replaced at startup by the buildings in game-config.json (see ruleset.js)
 export const BUILDING_TYPES = {
     // Special buildings
   HUB: {
@@ -12,6 +13,19 @@ export const BUILDING_TYPES = {
     productionSpeed: 0,
     unlocked: true,
     isHub: true,
+    serviceRadius: 6,
+  },
+  HOUSE: {
+    id: 'house',
+    name: 'House',
+    emoji: '🏠',
+    allowedTerrain: ['GRASS', 'SAND'],
+    produces: null,
+    consumes: [],
+    productionSpeed: 0,
+    unlocked: true,
+    residents: 6,
+    cost:{wood:10}
   },
   // Tier 1 - Resource Gatherers (no inputs)
 
@@ -22,9 +36,11 @@ export const BUILDING_TYPES = {
     allowedTerrain: ['GRASS'],
     produces: { type: 'food', amount: 1 },
     consumes: [],
+    workers: 2,
     productionSpeed: 0.0025, 
     unlocked: true,
-    cost:{wood:3}
+    cost:{wood:3},
+    yieldModifiers: [{ terrain: 'WATER', bonus: 0.25, max: 1 }],
   },
   
   LUMBERYARD: {
@@ -34,9 +50,11 @@ export const BUILDING_TYPES = {
     allowedTerrain: ['FOREST'],
     produces: { type: 'wood', amount: 1 },
     consumes: [],
+    workers: 2,
     productionSpeed: 0.005,
     unlocked: true,
-    cost:{wood:6, food:9}
+    cost:{wood:6, food:9},
+    yieldModifiers: [{ terrain: 'FOREST', bonus: 0.1 }],
   },
   
   MINE: {
@@ -46,6 +64,7 @@ export const BUILDING_TYPES = {
     allowedTerrain: ['MOUNTAIN'],
     produces: { type: 'ore', amount: 1 },
     consumes: [],
+    workers: 3,
     productionSpeed: 0.0025,
     unlocked: false,
   },
@@ -57,6 +76,7 @@ export const BUILDING_TYPES = {
     allowedTerrain: ['MOUNTAIN'],
     produces: { type: 'stone', amount: 1 },
     consumes: [],
+    workers: 3,
     productionSpeed: 0.003,
     unlocked: false,
   },
@@ -69,6 +89,7 @@ export const BUILDING_TYPES = {
     allowedTerrain: ['GRASS', 'SAND', 'FOREST'],
     produces: { type: 'planks', amount: 1 },
     consumes: [{ type: 'wood', amount: 2 }],
+    workers: 4,
     productionSpeed: 0.002,
     unlocked: false,
   },
@@ -80,6 +101,7 @@ export const BUILDING_TYPES = {
     allowedTerrain: ['GRASS', 'SAND', 'MOUNTAIN'],
     produces: { type: 'metal', amount: 1 },
     consumes: [{ type: 'ore', amount: 2 }],
+    workers: 4,
     productionSpeed: 0.0015,
     unlocked: false,
   },
@@ -97,4 +119,35 @@ export function canPlaceBuilding(buildingTypeId, terrainType) {
   const buildingType = getBuildingType(buildingTypeId);
   if (!buildingType) return false;
   return buildingType.allowedTerrain.includes(terrainType);
-}
\ No newline at end of file
+}
+
+// Get the recipes a building type can run. Types without a recipes list get a single
+// recipe built from their produces/consumes fields.
+export function getRecipes(buildingType) {
+  if (buildingType.recipes && buildingType.recipes.length > 0) {
+    return buildingType.recipes;
+  }
+  if (!buildingType.produces && (!buildingType.consumes || buildingType.consumes.length === 0)) {
+    return [];
+  }
+  return [{
+    id: 'default',
+    name: buildingType.name,
+    consumes: buildingType.consumes || [],
+    produces: buildingType.produces ? [buildingType.produces] : [],
+  }];
+}
+
+// Get the recipe a placed building is running (its chosen one, else the type's first)
+export function getActiveRecipe(building, buildingType) {
+  const recipes = getRecipes(buildingType);
+  return recipes.find(recipe => recipe.id === building.recipeId) || recipes[0] || null;
+}
+
+// Replace the building definitions in place so existing imports of BUILDING_TYPES see the new set
+export function setBuildingTypes(buildingTypes) {
+  for (const key in BUILDING_TYPES) {
+    delete BUILDING_TYPES[key];
+  }
+  Object.assign(BUILDING_TYPES, buildingTypes);
+}
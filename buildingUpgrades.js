@@ -0,0 +1,85 @@
+// buildingUpgrades.js - Upgrade levels for placed buildings
+//
+// Every building starts at level 1 with its type's stats. A type's upgrades list the levels
+// above that in order: { cost, speedMultiplier, storageMultiplier, inputEfficiency }, where
+// each multiplier is against the level 1 stats (not the level before) and inputEfficiency
+// divides what a production cycle consumes, so 1.25 uses a fifth fewer inputs.
+
+/**
+ * Get the level a building is at
+ * @param {Object} building - The building instance
+ * @returns {number} - 1 for a building never upgraded
+ */
+export function getBuildingLevel(building) {
+  return building.level || 1;
+}
+
+/**
+ * Get the highest level a building type can reach
+ * @param {Object} buildingType - The building type definition
+ * @returns {number}
+ */
+export function getMaxLevel(buildingType) {
+  return 1 + (buildingType.upgrades || []).length;
+}
+
+/**
+ * Get the stats of a building type at a level
+ * @param {Object} buildingType - The building type definition
+ * @param {number} level - Level, from 1
+ * @returns {Object} - { speedMultiplier, storageMultiplier, inputEfficiency }
+ */
+export function getLevelStats(buildingType, level) {
+  const upgrade = level > 1 ? (buildingType.upgrades || [])[level - 2] : null;
+  return {
+    speedMultiplier: (upgrade && upgrade.speedMultiplier) || 1,
+    storageMultiplier: (upgrade && upgrade.storageMultiplier) || 1,
+    inputEfficiency: (upgrade && upgrade.inputEfficiency) || 1,
+  };
+}
+
+/**
+ * Get the stats a building runs at now
+ * @param {Object} building - The building instance
+ * @param {Object} buildingType - The building type definition
+ * @returns {Object} - See getLevelStats
+ */
+export function getBuildingStats(building, buildingType) {
+  return getLevelStats(buildingType, getBuildingLevel(building));
+}
+
+/**
+ * Get the next upgrade open to a building
+ * @param {Object} building - The building instance
+ * @param {Object} buildingType - The building type definition
+ * @returns {Object|null} - The upgrade, null at the top level
+ */
+export function getNextUpgrade(building, buildingType) {
+  return (buildingType.upgrades || [])[getBuildingLevel(building) - 1] || null;
+}
+
+/**
+ * Raise a building one level. The caller pays the upgrade's cost first; the building keeps
+ * its inventory, recipe and progress.
+ * @param {Object} building - The building instance
+ * @param {Object} buildingType - The building type definition
+ * @returns {boolean} - Whether the building was upgraded
+ */
+export function upgradeBuilding(building, buildingType) {
+  const upgrade = getNextUpgrade(building, buildingType);
+  if (!upgrade) return false;
+
+  building.level = getBuildingLevel(building) + 1;
+  // Saves from before costs were paid have no paidCost; assume the listed cost
+  const paidCost = building.paidCost || { ...(buildingType.cost || {}) };
+  for (let [resourceType, amount] of Object.entries(upgrade.cost || {})) {
+    paidCost[resourceType] = (paidCost[resourceType] || 0) + amount;
+  }
+  building.paidCost = paidCost;
+
+  console.log(`⬆️ ${buildingType.name} upgraded to level ${building.level}`, {
+    col: building.col,
+    row: building.row,
+  });
+  return true;
+}
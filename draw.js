@@ -12,7 +12,11 @@ import {
   pixelToHex,
   getHexVertices,
   getNeighbor,
+  hexDistance,
 } from "./hexUtils.js";
+import { getBuildingType } from "./buildingTypes.js";
+import { parseVertexKey } from "./routing.js";
+import { getTrainType, getWagonType, getResourceType, getDepositType } from "./ruleset.js";
 
 function lightenColor(color, percent) {
   const num = parseInt(color.replace("#", ""), 16);
@@ -82,6 +86,77 @@ function drawHexBatch(ctx, hexes, terrain, size, zoom, showLabels) {
   }
 }
 
+// Darken tiles outside territory and lighten those inside, so its edge stands out.
+// territory is a list of { col, row, radius } hubs.
+function drawTerritoryOverlay(ctx, range, territory, camera, size) {
+  const hexPath = createHexPath(size);
+  const inside = "rgba(255, 255, 255, 0.12)";
+  const outside = "rgba(0, 0, 0, 0.35)";
+
+  for (let col = range.minCol; col <= range.maxCol; col++) {
+    for (let row = range.minRow; row <= range.maxRow; row++) {
+      const inTerritory = territory.some(
+        (hub) => hexDistance(col, row, hub.col, hub.row) <= hub.radius
+      );
+      const pos = hexToPixel(col, row, size);
+
+      ctx.save();
+      ctx.translate(pos.x + camera.x, pos.y + camera.y);
+      ctx.fillStyle = inTerritory ? inside : outside;
+      ctx.fill(hexPath);
+      ctx.restore();
+    }
+  }
+}
+
+// Icon for each deposit with a bar for how much is left. deposits holds the worked
+// deposits (tile key -> { remaining }); the rest are still at their full richness.
+function drawDepositOverlay(ctx, map, range, deposits, camera, size, zoom) {
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.font = `${size * 0.5}px Arial`;
+
+  for (let col = range.minCol; col <= range.maxCol; col++) {
+    for (let row = range.minRow; row <= range.maxRow; row++) {
+      const hex = map[`${col},${row}`];
+      if (!hex || !hex.deposit) continue;
+
+      const depositType = getDepositType(hex.deposit.type);
+      if (!depositType) continue;
+
+      const worked = deposits[`${col},${row}`];
+      const remaining = worked ? worked.remaining : hex.deposit.richness;
+      const share = hex.deposit.richness > 0 ? remaining / hex.deposit.richness : 0;
+
+      const pos = hexToPixel(col, row, size);
+      const x = pos.x + camera.x;
+      const y = pos.y + camera.y;
+
+      ctx.beginPath();
+      ctx.arc(x, y, size * 0.45, 0, Math.PI * 2);
+      ctx.strokeStyle = depositType.color;
+      ctx.lineWidth = 2 * zoom;
+      ctx.stroke();
+
+      ctx.globalAlpha = share > 0 ? 1 : 0.4;
+      ctx.fillText(depositType.icon, x, y - size * 0.1);
+      ctx.globalAlpha = 1;
+
+      // Richness bar, scaled to the richest deposit of this kind
+      const barWidth = size * 0.7;
+      const barHeight = 4 * zoom;
+      const fullWidth = barWidth * (hex.deposit.richness / depositType.richness[1]);
+      ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+      ctx.fillRect(x - barWidth / 2, y + size * 0.25, fullWidth, barHeight);
+      ctx.fillStyle = depositType.color;
+      ctx.fillRect(x - barWidth / 2, y + size * 0.25, fullWidth * share, barHeight);
+    }
+  }
+
+  ctx.restore();
+}
+
 // Draw hovered hex separately
 function drawHoveredHex(
   ctx,
@@ -128,6 +203,14 @@ function drawVertexHighlight(ctx, x, y, zoom) {
   ctx.stroke();
 }
 
+function drawTrainHighlight(ctx, x, y, size, zoom) {
+  ctx.beginPath();
+  ctx.arc(x, y, size * 0.25, 0, Math.PI * 2);
+  ctx.strokeStyle = "#ffcc00";
+  ctx.lineWidth = 2 * zoom;
+  ctx.stroke();
+}
+
 function drawEdgeHighlight(ctx, centerX, centerY, edgeIndex, size, zoom) {
   const vertices = getHexVertices(centerX, centerY, size);
   const v1 = vertices[edgeIndex];
@@ -162,9 +245,123 @@ function drawBuilding(ctx, col, row, camera, size, zoom, building) {
     case "farm":
       drawFarm(ctx, col, row, camera, size, zoom);
       break;
+    default:
+      // Buildings from the ruleset without custom art are drawn as their icon
+      drawBuildingIcon(ctx, screenX, screenY, getBuildingType(building.type), size);
+      break;
   }
 
   drawInventoryStacks(ctx, screenX, screenY, building.inventory, size, zoom);
+
+  if (building.level > 1) {
+    drawLevelPips(ctx, screenX, screenY, building.level, size, zoom);
+  }
+
+  if (building.stallReason && STALL_BADGES[building.stallReason]) {
+    drawStallBadge(ctx, screenX, screenY, building.stallReason, size, zoom);
+  }
+}
+
+const STALL_BADGES = {
+  missing_input: { color: "#f39c12", symbol: "!" },
+  output_full: { color: "#e74c3c", symbol: "■" },
+  paused: { color: "#7f8c8d", symbol: "‖" },
+  no_deposit: { color: "#8e44ad", symbol: "?" },
+  depleted: { color: "#8e44ad", symbol: "∅" },
+  no_workers: { color: "#2980b9", symbol: "👷" },
+};
+
+// One gold pip per level along the bottom of an upgraded building
+function drawLevelPips(ctx, screenX, screenY, level, size, zoom) {
+  const radius = 3 * zoom;
+  const spacing = radius * 2.6;
+  const y = screenY + size * 0.62;
+  const startX = screenX - ((level - 1) * spacing) / 2;
+
+  ctx.save();
+  ctx.fillStyle = "#f1c40f";
+  ctx.strokeStyle = "#000";
+  ctx.lineWidth = 1 * zoom;
+  for (let i = 0; i < level; i++) {
+    ctx.beginPath();
+    ctx.arc(startX + i * spacing, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// Badge in the building's top-right corner while production is stalled
+function drawStallBadge(ctx, screenX, screenY, stallReason, size, zoom) {
+  const x = screenX + size * 0.45;
+  const y = screenY - size * 0.45;
+  const radius = 7 * zoom;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = STALL_BADGES[stallReason].color;
+  ctx.fill();
+  ctx.strokeStyle = "#fff";
+  ctx.lineWidth = 1.5 * zoom;
+  ctx.stroke();
+
+  ctx.fillStyle = "#fff";
+  ctx.font = `bold ${10 * zoom}px Arial`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(STALL_BADGES[stallReason].symbol, x, y);
+  ctx.restore();
+}
+
+// Faded icon of the building about to be placed, red when the terrain does not allow it,
+// with the yield multiplier it would get there underneath
+function drawBuildingPreview(ctx, preview, camera, size, zoom) {
+  const pos = hexToPixel(preview.col, preview.row, size);
+  const screenX = pos.x + camera.x;
+  const screenY = pos.y + camera.y;
+
+  ctx.save();
+  ctx.globalAlpha = 0.6;
+  drawBuildingIcon(ctx, screenX, screenY, preview.buildingType, size);
+  if (!preview.allowed) {
+    ctx.globalAlpha = 0.4;
+    ctx.fillStyle = "#e74c3c";
+    ctx.beginPath();
+    ctx.arc(screenX, screenY, size * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+
+  if (preview.allowed && preview.label) {
+    ctx.save();
+    ctx.font = `bold ${11 * zoom}px Arial`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    const labelY = screenY + size * 0.5;
+    const width = ctx.measureText(preview.label).width + 8 * zoom;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+    ctx.fillRect(screenX - width / 2, labelY, width, 15 * zoom);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(preview.label, screenX, labelY + 2 * zoom);
+    ctx.restore();
+  }
+}
+
+function drawBuildingIcon(ctx, screenX, screenY, buildingType, size) {
+  if (!buildingType) return;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+  ctx.beginPath();
+  ctx.arc(screenX, screenY, size * 0.4, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.font = `${size * 0.5}px Arial`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(buildingType.emoji, screenX, screenY);
+  ctx.restore();
 }
 
 /**
@@ -673,7 +870,7 @@ function drawLumberyard(ctx, col, row, camera, size, zoom) {
   ctx.restore();
 }
 
-function drawTrackBetweenHexes(ctx, hex1, hex2, camera, size, zoom) {
+function drawTrackBetweenHexes(ctx, hex1, hex2, camera, size, zoom, kind) {
   const pos1 = hexToPixel(hex1.col, hex1.row, size);
   const pos2 = hexToPixel(hex2.col, hex2.row, size);
 
@@ -694,6 +891,13 @@ function drawTrackBetweenHexes(ctx, hex1, hex2, camera, size, zoom) {
   const v1 = vertices[edgeIndex];
   const v2 = vertices[(edgeIndex + 1) % 6];
 
+  // Bridges and tunnels are drawn under the ties and rails
+  if (kind === "bridge") {
+    drawBridgeDeck(ctx, v1, v2, size, zoom);
+  } else if (kind === "tunnel") {
+    drawTunnel(ctx, v1, v2, size, zoom);
+  }
+
   const numTies = 5;
   const tieWidth = size * 0.15;
   const tieThickness = 1.5 * zoom;
@@ -741,7 +945,177 @@ function drawTrackBetweenHexes(ctx, hex1, hex2, camera, size, zoom) {
   ctx.stroke();
 }
 
-function drawTrain(ctx, hex1, hex2, progress, cargo, camera, size, zoom) {
+// Wooden deck with railings on both sides, carried by piers at the ends
+function drawBridgeDeck(ctx, v1, v2, size, zoom) {
+  const dx = v2.x - v1.x;
+  const dy = v2.y - v1.y;
+  const len = Math.sqrt(dx * dx + dy * dy);
+  const railX = (-dy / len) * size * 0.22;
+  const railY = (dx / len) * size * 0.22;
+
+  ctx.save();
+  ctx.lineCap = "butt";
+
+  ctx.strokeStyle = "#a0522d";
+  ctx.lineWidth = size * 0.4;
+  ctx.beginPath();
+  ctx.moveTo(v1.x, v1.y);
+  ctx.lineTo(v2.x, v2.y);
+  ctx.stroke();
+
+  ctx.strokeStyle = "#5c3317";
+  ctx.lineWidth = 2 * zoom;
+  for (const side of [-1, 1]) {
+    ctx.beginPath();
+    ctx.moveTo(v1.x + railX * side, v1.y + railY * side);
+    ctx.lineTo(v2.x + railX * side, v2.y + railY * side);
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = "#5c3317";
+  for (const v of [v1, v2]) {
+    ctx.beginPath();
+    ctx.arc(v.x, v.y, size * 0.1, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+// Dark bore through the rock with a stone portal at each end
+function drawTunnel(ctx, v1, v2, size, zoom) {
+  const dx = v2.x - v1.x;
+  const dy = v2.y - v1.y;
+  const angle = Math.atan2(dy, dx);
+
+  ctx.save();
+  ctx.lineCap = "butt";
+  ctx.strokeStyle = "rgba(20, 20, 20, 0.75)";
+  ctx.lineWidth = size * 0.35;
+  ctx.beginPath();
+  ctx.moveTo(v1.x, v1.y);
+  ctx.lineTo(v2.x, v2.y);
+  ctx.stroke();
+
+  ctx.strokeStyle = "#7f7f7f";
+  ctx.lineWidth = 3 * zoom;
+  for (const [v, facing] of [
+    [v1, angle + Math.PI],
+    [v2, angle],
+  ]) {
+    ctx.beginPath();
+    ctx.arc(v.x, v.y, size * 0.2, facing - Math.PI / 2, facing + Math.PI / 2);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// Trains are colored by their type; trains from older saves have no type
+function getTrainColor(train) {
+  const trainType = train.typeId && getTrainType(train.typeId);
+  return trainType ? trainType.color : undefined;
+}
+
+// Preview of a dragged track route: green if it can be built, red if not, with its cost at the end
+function drawTrackPreview(ctx, plan, camera, size, zoom) {
+  const buildable = !plan.problem && plan.affordable;
+  let lastPoint = null;
+
+  ctx.save();
+  ctx.lineCap = "round";
+
+  for (const segment of plan.segments) {
+    const side = getSharedSide(segment.hex1, segment.hex2);
+    if (side === -1) continue;
+
+    const pos = hexToPixel(segment.hex1.col, segment.hex1.row, size);
+    const vertices = getHexVertices(pos.x + camera.x, pos.y + camera.y, size);
+    const v1 = vertices[side];
+    const v2 = vertices[(side + 1) % 6];
+
+    // Track that is already there is shown thinner; it costs nothing
+    ctx.strokeStyle = buildable ? "rgba(46, 204, 113, 0.7)" : "rgba(231, 76, 60, 0.7)";
+    ctx.lineWidth = (segment.existing ? 3 : 7) * zoom;
+    ctx.beginPath();
+    ctx.moveTo(v1.x, v1.y);
+    ctx.lineTo(v2.x, v2.y);
+    ctx.stroke();
+
+    lastPoint = { x: (v1.x + v2.x) / 2, y: (v1.y + v2.y) / 2 };
+  }
+
+  const costText = Object.entries(plan.cost)
+    .map(([resourceType, amount]) => `${amount} ${resourceType}`)
+    .join(", ");
+  const label = plan.problem || (plan.affordable ? costText : `${costText} (can't afford)`);
+
+  if (lastPoint && label) {
+    ctx.font = `bold ${Math.max(10, 12 * zoom)}px Arial`;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(0, 0, 0, 0.8)";
+    ctx.strokeText(label, lastPoint.x + 8, lastPoint.y - 8);
+    ctx.fillStyle = buildable ? "#ffffff" : "#ff6b6b";
+    ctx.fillText(label, lastPoint.x + 8, lastPoint.y - 8);
+  }
+
+  ctx.restore();
+}
+
+function getSharedSide(hex1, hex2) {
+  for (let i = 0; i < 6; i++) {
+    const neighbor = getNeighbor(hex1.col, hex1.row, i);
+    if (neighbor.col === hex2.col && neighbor.row === hex2.row) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// A switch lever: a yellow bar along the branch trains take by default,
+// with a blue hub when cargo rules can send some trains elsewhere
+function drawSwitch(ctx, x, y, angle, hasRules, size, zoom) {
+  const length = size * 0.45;
+
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.strokeStyle = "#222";
+  ctx.lineWidth = 6 * zoom;
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+  ctx.stroke();
+
+  ctx.strokeStyle = "#f1c40f";
+  ctx.lineWidth = 3 * zoom;
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.arc(x, y, 4 * zoom, 0, Math.PI * 2);
+  ctx.fillStyle = hasRules ? "#3498db" : "#f1c40f";
+  ctx.fill();
+  ctx.strokeStyle = "#222";
+  ctx.lineWidth = 1.5 * zoom;
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Signal post on a track vertex, lit red or green
+function drawSignal(ctx, x, y, state, zoom) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(x, y, 6 * zoom, 0, Math.PI * 2);
+  ctx.fillStyle = "#222";
+  ctx.fill();
+
+  ctx.beginPath();
+  ctx.arc(x, y, 4 * zoom, 0, Math.PI * 2);
+  ctx.fillStyle = state === "red" ? "#e74c3c" : "#2ecc71";
+  ctx.fill();
+  ctx.restore();
+}
+
+function drawTrain(ctx, hex1, hex2, progress, cargo, camera, size, zoom, color, consist) {
   const pos1 = hexToPixel(hex1.col, hex1.row, size);
 
   let edgeIndex = -1;
@@ -771,13 +1145,19 @@ function drawTrain(ctx, hex1, hex2, progress, cargo, camera, size, zoom) {
   const trainLength = size * 0.3;
   const trainWidth = size * 0.15;
 
+  // Wagons first, so the locomotive sits on top where they bunch up after turning around
+  if (consist && consist.wagons.length > 0) {
+    const behind = consist.direction === 1 ? v1 : v2;
+    drawWagons(ctx, [{ x: trainX, y: trainY }, behind, ...consist.trail], consist.wagons, size, zoom);
+  }
+
   ctx.save();
   ctx.translate(trainX, trainY);
   ctx.rotate(angle);
 
-  ctx.fillStyle = "#c41e3a";
+  ctx.fillStyle = color || "#c41e3a";
   ctx.fillRect(-trainLength / 2, -trainWidth / 2, trainLength, trainWidth);
-  ctx.strokeStyle = "#8b0000";
+  ctx.strokeStyle = color ? "rgba(0, 0, 0, 0.5)" : "#8b0000";
   ctx.lineWidth = 1.5 * zoom;
   ctx.strokeRect(-trainLength / 2, -trainWidth / 2, trainLength, trainWidth);
 
@@ -803,6 +1183,90 @@ function drawTrain(ctx, hex1, hex2, progress, cargo, camera, size, zoom) {
   drawInventoryStacks(ctx, trainX, trainY, { inputs: cargo }, size, zoom);
 }
 
+// Wagons spaced out along a path of screen points starting at the locomotive.
+// A wagon that would run past the end of the path waits at its end.
+function drawWagons(ctx, path, wagons, size, zoom) {
+  const spacing = size * 0.36;
+  const wagonLength = size * 0.26;
+  const wagonWidth = size * 0.14;
+
+  // Drop repeated points so every segment has a direction
+  const points = path.filter(
+    (point, i) => i === 0 || Math.hypot(point.x - path[i - 1].x, point.y - path[i - 1].y) > 0.5
+  );
+
+  wagons.forEach((wagon, index) => {
+    let remaining = spacing * (index + 1);
+    let x = points[points.length - 1].x;
+    let y = points[points.length - 1].y;
+    let angle = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      angle = Math.atan2(from.y - to.y, from.x - to.x);
+      if (remaining <= length) {
+        x = from.x + ((to.x - from.x) * remaining) / length;
+        y = from.y + ((to.y - from.y) * remaining) / length;
+        break;
+      }
+      remaining -= length;
+    }
+
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+
+    ctx.fillStyle = wagon.color;
+    ctx.fillRect(-wagonLength / 2, -wagonWidth / 2, wagonLength, wagonWidth);
+    ctx.strokeStyle = "rgba(0, 0, 0, 0.5)";
+    ctx.lineWidth = 1 * zoom;
+    ctx.strokeRect(-wagonLength / 2, -wagonWidth / 2, wagonLength, wagonWidth);
+
+    // Load shown as a bar of the cargo's color, as long as the wagon is full
+    if (wagon.cargoColor && wagon.fill > 0) {
+      const inset = wagonWidth * 0.2;
+      ctx.fillStyle = wagon.cargoColor;
+      ctx.fillRect(
+        -wagonLength / 2 + inset,
+        -wagonWidth / 2 + inset,
+        (wagonLength - inset * 2) * Math.min(1, wagon.fill),
+        wagonWidth - inset * 2
+      );
+    }
+
+    ctx.restore();
+  });
+}
+
+// What drawTrain needs to know about a train's wagons: their look and where the
+// locomotive has been (vertex keys hold world positions at baseSize)
+function getConsist(train, camera, size, baseSize) {
+  const wagons = (train.wagons || [])
+    .filter((wagon) => wagon.typeId)
+    .map((wagon) => {
+      const wagonType = getWagonType(wagon.typeId);
+      const [cargoType, amount] = Object.entries(wagon.cargo)[0] || [];
+      const resource = cargoType && getResourceType(cargoType);
+      return {
+        color: (wagonType && wagonType.color) || "#7f8c8d",
+        cargoColor: resource ? resource.color : null,
+        fill: amount ? amount / wagon.capacity : 0,
+      };
+    });
+
+  const trail = (train.trail || [])
+    .map((vertexKey) => parseVertexKey(vertexKey))
+    .filter((position) => position)
+    .map((position) => ({
+      x: (position.x / baseSize) * size + camera.x,
+      y: (position.y / baseSize) * size + camera.y,
+    }));
+
+  return { direction: train.direction, wagons, trail };
+}
+
 function getVisibleHexRange(canvas, camera, size) {
   const width = size * 2;
   const height = Math.sqrt(3) * size;
@@ -837,9 +1301,12 @@ export function draw(ctx, params) {
     placed_tracks,
     placed_buildings,
     trains,
+    signals,
+    switches,
     camera,
     hoveredElement,
     size,
+    baseSize,
     zoom,
     TERRAIN,
     OBJECT_TYPES,
@@ -847,6 +1314,10 @@ export function draw(ctx, params) {
     zoomLevelEl,
     trackCountEl,
     trainCountEl,
+    trackPreview,
+    territory,
+    deposits,
+    buildingPreview,
   } = params;
 
   ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -913,6 +1384,16 @@ export function draw(ctx, params) {
     );
   }
 
+  // Shade the map outside territory while placing buildings
+  if (territory) {
+    drawTerritoryOverlay(ctx, range, territory, camera, size);
+  }
+
+  // Deposit overlay: what is in the ground and how much of it is left
+  if (deposits) {
+    drawDepositOverlay(ctx, map, range, deposits, camera, size, zoom);
+  }
+
   // Draw tracks
   let trackCount = 0;
   for (const key in placed_tracks) {
@@ -935,7 +1416,7 @@ export function draw(ctx, params) {
           hex2.row <= range.maxRow);
 
       if (inRange) {
-        drawTrackBetweenHexes(ctx, hex1, hex2, camera, size, zoom);
+        drawTrackBetweenHexes(ctx, hex1, hex2, camera, size, zoom, obj.kind);
       }
     }
   }
@@ -988,12 +1469,69 @@ export function draw(ctx, params) {
           train.cargo,
           camera,
           size,
-          zoom
+          zoom,
+          getTrainColor(train),
+          getConsist(train, camera, size, baseSize)
         );
       }
     });
   }
 
+  // Draw signals
+  if (signals) {
+    for (const vertexKey in signals) {
+      const position = parseVertexKey(vertexKey);
+      if (!position) continue;
+
+      // Vertex keys hold world positions at baseSize; scale them to the current zoom
+      const screenX = (position.x / baseSize) * size + camera.x;
+      const screenY = (position.y / baseSize) * size + camera.y;
+      if (
+        screenX < -size ||
+        screenY < -size ||
+        screenX > canvas.width + size ||
+        screenY > canvas.height + size
+      ) {
+        continue;
+      }
+
+      drawSignal(ctx, screenX, screenY, signals[vertexKey], zoom);
+    }
+  }
+
+  // Draw switches, pointing down their default branch
+  if (switches) {
+    for (const vertexKey in switches) {
+      const position = parseVertexKey(vertexKey);
+      const towards = parseVertexKey(switches[vertexKey].towards);
+      if (!position || !towards) continue;
+
+      const screenX = (position.x / baseSize) * size + camera.x;
+      const screenY = (position.y / baseSize) * size + camera.y;
+      if (
+        screenX < -size ||
+        screenY < -size ||
+        screenX > canvas.width + size ||
+        screenY > canvas.height + size
+      ) {
+        continue;
+      }
+
+      const angle = Math.atan2(towards.y - position.y, towards.x - position.x);
+      drawSwitch(ctx, screenX, screenY, angle, switches[vertexKey].hasRules, size, zoom);
+    }
+  }
+
+  // Draw the run of track being dragged out
+  if (trackPreview) {
+    drawTrackPreview(ctx, trackPreview, camera, size, zoom);
+  }
+
+  // Draw the building about to be placed
+  if (buildingPreview) {
+    drawBuildingPreview(ctx, buildingPreview, camera, size, zoom);
+  }
+
   // Draw hover highlights
   if (hoveredElement) {
     const pos = hexToPixel(hoveredElement.col, hoveredElement.row, size);
@@ -1013,6 +1551,14 @@ export function draw(ctx, params) {
         size,
         zoom
       );
+    } else if (hoveredElement.type === "train") {
+      drawTrainHighlight(
+        ctx,
+        hoveredElement.x + camera.x,
+        hoveredElement.y + camera.y,
+        size,
+        zoom
+      );
     }
   }
 
@@ -74,3 +74,19 @@ export function getNeighbor(col, row, side) {
       ];
   return { col: neighbors[side][0], row: neighbors[side][1] };
 }
+
+// Number of hex steps between two tiles (odd columns are shifted down)
+export function hexDistance(col1, row1, col2, row2) {
+  const a = offsetToCube(col1, row1);
+  const b = offsetToCube(col2, row2);
+  return (
+    Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs(a.q + a.r - b.q - b.r)
+  ) / 2;
+}
+
+// Convert offset grid coordinates to axial cube coordinates
+function offsetToCube(col, row) {
+  const q = col;
+  const r = row - (col - (col & 1)) / 2;
+  return { q, r };
+}
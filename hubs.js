@@ -0,0 +1,171 @@
+// hubs.js - Queries and withdrawals against the resources stored in hubs
+
+import { getBuildingType } from './buildingTypes.js';
+import { hexDistance } from './hexUtils.js';
+
+/**
+ * Get all placed hub buildings
+ * @param {Object} gameState - The game state object containing placed_buildings
+ * @returns {Array} - Hub building instances
+ */
+export function getHubs(gameState) {
+  const hubs = [];
+  for (let tileKey in gameState.placed_buildings) {
+    const building = gameState.placed_buildings[tileKey];
+    const buildingType = getBuildingType(building.type);
+    if (buildingType && buildingType.isHub) {
+      hubs.push(building);
+    }
+  }
+  return hubs;
+}
+
+/**
+ * Get all hubs ordered from nearest to farthest from a tile
+ * @param {Object} gameState - The game state object
+ * @param {number} col - Tile column
+ * @param {number} row - Tile row
+ * @returns {Array} - Hub building instances
+ */
+export function getHubsByDistance(gameState, col, row) {
+  return getHubs(gameState)
+    .map((hub) => ({ hub, distance: hexDistance(col, row, hub.col, hub.row) }))
+    .sort((a, b) => a.distance - b.distance)
+    .map((entry) => entry.hub);
+}
+
+/**
+ * Sum the resources stored across all hubs (inputs and outputs)
+ * @param {Object} gameState - The game state object
+ * @returns {Object} - Map of resource type to total amount
+ */
+export function getHubResourceTotals(gameState) {
+  const totals = {};
+  for (let hub of getHubs(gameState)) {
+    for (let [resourceType, amount] of Object.entries(getHubStock(hub))) {
+      totals[resourceType] = (totals[resourceType] || 0) + amount;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Check whether the hubs together hold enough to pay a cost
+ * @param {Object} gameState - The game state object
+ * @param {Object} cost - Map of resource type to amount
+ * @returns {boolean}
+ */
+export function canAffordFromHubs(gameState, cost) {
+  if (!cost) return true;
+
+  const totals = getHubResourceTotals(gameState);
+  for (let [resourceType, amount] of Object.entries(cost)) {
+    if ((totals[resourceType] || 0) < amount) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Take a cost out of hub inventories. Nothing is taken unless the whole cost can be paid.
+ * With a location, the nearest hub that holds the whole cost pays it alone; if no single
+ * hub can, the cost is split across hubs starting with the nearest.
+ * Checks live hub inventories, so it is safe to call with a stale hubResourceTotals.
+ * @param {Object} gameState - The game state object
+ * @param {Object} cost - Map of resource type to amount
+ * @param {Object} [near] - { col, row } of the tile the cost is paid for
+ * @returns {Object|null} - Map of hub tile key to the resources it paid, or null if unaffordable
+ */
+export function withdrawFromHubs(gameState, cost, near) {
+  if (!cost) return {};
+  if (!canAffordFromHubs(gameState, cost)) return null;
+
+  let hubs = near ? getHubsByDistance(gameState, near.col, near.row) : getHubs(gameState);
+  const singlePayer = hubs.find((hub) => hubCanPay(hub, cost));
+  if (singlePayer) {
+    hubs = [singlePayer];
+  }
+
+  const payments = {};
+  for (let [resourceType, amount] of Object.entries(cost)) {
+    let remaining = amount;
+    for (let hub of hubs) {
+      if (remaining <= 0) break;
+      const taken = takeFromHub(hub, resourceType, remaining);
+      if (taken > 0) {
+        const hubKey = `${hub.col},${hub.row}`;
+        if (!payments[hubKey]) payments[hubKey] = {};
+        payments[hubKey][resourceType] = taken;
+        remaining -= taken;
+      }
+    }
+  }
+
+  gameState.hubResourceTotals = getHubResourceTotals(gameState);
+  return payments;
+}
+
+/**
+ * Add resources to a hub's inputs
+ * @param {Object} hub - The hub building instance
+ * @param {Object} resources - Map of resource type to amount
+ */
+export function depositToHub(hub, resources) {
+  if (!hub.inventory) {
+    hub.inventory = { inputs: {}, outputs: {} };
+  }
+  if (!hub.inventory.inputs) {
+    hub.inventory.inputs = {};
+  }
+
+  for (let [resourceType, amount] of Object.entries(resources)) {
+    if (amount <= 0) continue;
+    hub.inventory.inputs[resourceType] = (hub.inventory.inputs[resourceType] || 0) + amount;
+  }
+}
+
+// Resources held by one hub, inputs and outputs combined
+function getHubStock(hub) {
+  const stock = {};
+  if (!hub.inventory) return stock;
+
+  for (let slot of ['inputs', 'outputs']) {
+    const items = hub.inventory[slot] || {};
+    for (let resourceType in items) {
+      stock[resourceType] = (stock[resourceType] || 0) + items[resourceType];
+    }
+  }
+  return stock;
+}
+
+function hubCanPay(hub, cost) {
+  const stock = getHubStock(hub);
+  return Object.entries(cost).every(([resourceType, amount]) => (stock[resourceType] || 0) >= amount);
+}
+
+/**
+ * Take up to an amount of one resource from a hub, inputs first
+ * @param {Object} hub - The hub building instance
+ * @param {string} resourceType - Type of resource
+ * @param {number} amount - Most to take
+ * @returns {number} - Amount taken
+ */
+export function takeFromHub(hub, resourceType, amount) {
+  if (!hub.inventory) return 0;
+
+  let taken = 0;
+  for (let slot of ['inputs', 'outputs']) {
+    const items = hub.inventory[slot];
+    if (!items || !items[resourceType]) continue;
+
+    const take = Math.min(items[resourceType], amount - taken);
+    items[resourceType] -= take;
+    if (items[resourceType] <= 0) {
+      delete items[resourceType];
+    }
+    taken += take;
+    if (taken >= amount) break;
+  }
+  return taken;
+}
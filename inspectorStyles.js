@@ -0,0 +1,50 @@
+// inspectorStyles.js - Styles shared by the train and building inspector panels
+
+/**
+ * Add the rows, headings, lines and action buttons both inspectors use to the page, once
+ */
+export function addInspectorStyles() {
+  if (document.getElementById('inspector-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'inspector-styles';
+  style.textContent = `
+    .inspector-row {
+      display: flex;
+      justify-content: space-between;
+      margin: 2px 0;
+    }
+    .inspector-row span:first-child {
+      color: #aaa;
+    }
+    .inspector-heading {
+      color: #aaa;
+      font-size: 11px;
+      margin-top: 8px;
+      border-bottom: 1px solid #444;
+    }
+    .inspector-line {
+      font-size: 11px;
+      margin: 2px 0;
+    }
+    .inspector-actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      margin-top: 8px;
+    }
+    .inspector-actions button {
+      background: #444;
+      color: white;
+      border: 1px solid #666;
+      border-radius: 3px;
+      padding: 3px 6px;
+      font-size: 11px;
+      cursor: pointer;
+    }
+    .inspector-actions button:hover {
+      background: #555;
+    }
+  `;
+  document.head.appendChild(style);
+}
@@ -0,0 +1,181 @@
+// market.js - Money, market prices and trading goods through the hubs
+//
+// Each resource has a base price (its price in the ruleset). Hubs sell whatever the player
+// has put up for sale, keeping a reserve back, a little every tick. Every unit sold adds to
+// the market's oversupply of that resource, which pushes its price down; oversupply wears
+// off over time, so prices recover. Missing resources can be bought at a premium and are
+// delivered to the capital hub.
+import { getResources, getResourceType } from './ruleset.js';
+import { getHubs, takeFromHub, depositToHub, getHubResourceTotals } from './hubs.js';
+import { getCapitalHub } from './territory.js';
+
+// Money a new game starts with
+const STARTING_MONEY = 100;
+
+// Price of resources that do not set one
+const DEFAULT_PRICE = 1;
+
+// Most of one resource the hubs sell per tick, all hubs together (1 a second at 60 ticks)
+const SALES_PER_TICK = 1 / 60;
+
+// Oversupply that halves a resource's price
+const SATURATION = 50;
+
+// Share of the oversupply that wears off each tick: half of it in about two minutes
+const RECOVERY_PER_TICK = 1 - Math.pow(0.5, 1 / (120 * 60));
+
+// Buying costs this much more than selling, and never less than the base price
+export const BUY_PREMIUM = 1.5;
+
+// A price is recorded for the history every this many ticks (10 seconds), keeping the last
+// HISTORY_LENGTH of them
+const HISTORY_INTERVAL_TICKS = 600;
+const HISTORY_LENGTH = 60;
+
+/**
+ * Create the market section of a fresh game state
+ * @returns {Object} - { money, selling: resource -> reserve kept back, supply: resource ->
+ *   oversupply, history: resource -> recent prices, ticks }
+ */
+export function createMarketState() {
+  return {
+    money: STARTING_MONEY,
+    selling: {},
+    supply: {},
+    history: {},
+    ticks: 0,
+  };
+}
+
+/**
+ * Get the base price of a resource
+ * @param {string} resourceType - Resource type
+ * @returns {number}
+ */
+export function getBasePrice(resourceType) {
+  const resource = getResourceType(resourceType);
+  return resource && resource.price !== undefined ? resource.price : DEFAULT_PRICE;
+}
+
+/**
+ * Get what the market pays for one unit of a resource now
+ * @param {Object} gameState - The game state object containing market
+ * @param {string} resourceType - Resource type
+ * @returns {number}
+ */
+export function getSellPrice(gameState, resourceType) {
+  const supply = gameState.market.supply[resourceType] || 0;
+  return getBasePrice(resourceType) / (1 + supply / SATURATION);
+}
+
+/**
+ * Get what one unit of a resource costs to buy now
+ * @param {Object} gameState - The game state object containing market
+ * @param {string} resourceType - Resource type
+ * @returns {number}
+ */
+export function getBuyPrice(gameState, resourceType) {
+  return Math.max(getSellPrice(gameState, resourceType), getBasePrice(resourceType)) * BUY_PREMIUM;
+}
+
+/**
+ * Put a resource up for sale at the hubs, or take it off sale
+ * @param {Object} gameState - The game state object containing market
+ * @param {string} resourceType - Resource type
+ * @param {number|null} reserve - Amount the hubs keep back, or null to stop selling
+ */
+export function setSelling(gameState, resourceType, reserve) {
+  if (reserve === null) {
+    delete gameState.market.selling[resourceType];
+  } else {
+    gameState.market.selling[resourceType] = Math.max(0, reserve);
+  }
+}
+
+/**
+ * Sell a tick's worth of goods from the hubs, let prices recover and record price history
+ * @param {Object} gameState - The game state object containing market
+ */
+export function updateMarket(gameState) {
+  const market = gameState.market;
+
+  for (let [resourceType, reserve] of Object.entries(market.selling)) {
+    const stock = getHubResourceTotals(gameState)[resourceType] || 0;
+    const amount = Math.min(SALES_PER_TICK, stock - reserve);
+    if (amount > 0) {
+      sellFromHubs(gameState, resourceType, amount);
+    }
+  }
+
+  for (let resourceType in market.supply) {
+    market.supply[resourceType] *= 1 - RECOVERY_PER_TICK;
+    if (market.supply[resourceType] < 0.01) {
+      delete market.supply[resourceType];
+    }
+  }
+
+  market.ticks++;
+  if (market.ticks % HISTORY_INTERVAL_TICKS === 0) {
+    recordPrices(gameState);
+  }
+}
+
+// Take goods out of the hubs, fullest first, and pay for them at the falling price
+function sellFromHubs(gameState, resourceType, amount) {
+  const hubs = getHubs(gameState).sort(
+    (a, b) => getHubStock(b, resourceType) - getHubStock(a, resourceType)
+  );
+
+  let sold = 0;
+  for (let hub of hubs) {
+    if (sold >= amount) break;
+    sold += takeFromHub(hub, resourceType, amount - sold);
+  }
+
+  const market = gameState.market;
+  market.money += sold * getSellPrice(gameState, resourceType);
+  market.supply[resourceType] = (market.supply[resourceType] || 0) + sold;
+}
+
+function getHubStock(hub, resourceType) {
+  const inventory = hub.inventory || {};
+  return ((inventory.inputs || {})[resourceType] || 0) + ((inventory.outputs || {})[resourceType] || 0);
+}
+
+function recordPrices(gameState) {
+  const history = gameState.market.history;
+  for (let resourceType of Object.keys(getResources())) {
+    if (!history[resourceType]) history[resourceType] = [];
+    history[resourceType].push(getSellPrice(gameState, resourceType));
+    if (history[resourceType].length > HISTORY_LENGTH) {
+      history[resourceType].shift();
+    }
+  }
+}
+
+/**
+ * Buy a resource with money; it is delivered to the capital hub
+ * @param {Object} gameState - The game state object containing market
+ * @param {string} resourceType - Resource type
+ * @param {number} amount - Amount to buy
+ * @returns {Object} - { bought, reason } where reason explains a refusal
+ */
+export function buyResource(gameState, resourceType, amount) {
+  const capital = getCapitalHub(gameState);
+  if (!capital) {
+    return { bought: false, reason: 'Place a hub first' };
+  }
+
+  const price = getBuyPrice(gameState, resourceType) * amount;
+  if (gameState.market.money < price) {
+    return { bought: false, reason: `Not enough money (${Math.ceil(price)} needed)` };
+  }
+
+  gameState.market.money -= price;
+  depositToHub(capital, { [resourceType]: amount });
+  gameState.hubResourceTotals = getHubResourceTotals(gameState);
+
+  console.log('💰 BOUGHT', { resourceType, amount, price });
+
+  return { bought: true, reason: null };
+}
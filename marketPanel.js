@@ -0,0 +1,218 @@
+// marketPanel.js - Market prices with their history, selling from hubs and buying goods
+import { getResources } from './ruleset.js';
+import { getSellPrice, getBuyPrice, getBasePrice, setSelling, buyResource } from './market.js';
+
+// Amount bought per click of a buy button
+const BUY_AMOUNT = 10;
+
+// Reserve offered when a resource is first put up for sale
+const DEFAULT_RESERVE = 50;
+
+export class MarketPanel {
+  /**
+   * @param {Object} gameState - The game state object containing market
+   * @param {Object} ui - The UIManager, for resource icons and the resource display
+   */
+  constructor(gameState, ui) {
+    this.gameState = gameState;
+    this.ui = ui;
+
+    this.createMarketPanelHTML();
+    this.init();
+  }
+
+  createMarketPanelHTML() {
+    const controlsDiv = document.getElementById('controls');
+    if (!controlsDiv) {
+      console.error('Controls div not found!');
+      return;
+    }
+
+    const marketHTML = `
+      <div id="market-section">
+        <button class="mode-button" id="market-panel-toggle">💰 Market</button>
+        <div id="market-panel">
+          <div id="market-money"></div>
+          <div id="market-list"></div>
+          <div id="market-message"></div>
+        </div>
+      </div>
+    `;
+
+    controlsDiv.insertAdjacentHTML('beforeend', marketHTML);
+
+    if (!document.getElementById('market-panel-styles')) {
+      const style = document.createElement('style');
+      style.id = 'market-panel-styles';
+      style.textContent = `
+        #market-panel {
+          display: none;
+          margin-top: 5px;
+          max-width: 280px;
+        }
+        #market-panel.visible {
+          display: block;
+        }
+        #market-money {
+          font-size: 12px;
+          font-weight: bold;
+          margin: 4px 0;
+        }
+        .market-item {
+          background: #2a2a2a;
+          border: 1px solid #555;
+          border-radius: 4px;
+          padding: 4px 8px;
+          margin: 4px 0;
+          font-size: 12px;
+        }
+        .market-item.selling {
+          border-color: #4bb543;
+        }
+        .market-prices {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+        .market-history {
+          display: block;
+          margin-top: 2px;
+        }
+        .market-controls {
+          font-size: 10px;
+          margin-top: 2px;
+        }
+        .market-controls input[type="number"] {
+          width: 45px;
+          font-size: 10px;
+        }
+        #market-message {
+          font-size: 11px;
+          color: #ff6b6b;
+          min-height: 14px;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+
+  init() {
+    const toggle = document.getElementById('market-panel-toggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('click', () => {
+      const panel = document.getElementById('market-panel');
+      panel.classList.toggle('visible');
+      toggle.classList.toggle('active', panel.classList.contains('visible'));
+      this.render();
+    });
+
+    // Prices move every tick
+    this.refreshInterval = setInterval(() => this.refresh(), 500);
+  }
+
+  isVisible() {
+    const panel = document.getElementById('market-panel');
+    return !!(panel && panel.classList.contains('visible'));
+  }
+
+  // Draw the list; the sell controls are only redrawn here so typing in them is not interrupted
+  render() {
+    const container = document.getElementById('market-list');
+    if (!container || !this.isVisible()) return;
+
+    container.innerHTML = '';
+    for (let resourceType of Object.keys(getResources())) {
+      container.appendChild(this.createMarketItem(resourceType));
+    }
+    this.refresh();
+  }
+
+  createMarketItem(resourceType) {
+    const reserve = this.gameState.market.selling[resourceType];
+    const selling = reserve !== undefined;
+
+    const item = document.createElement('div');
+    item.className = 'market-item';
+    item.classList.toggle('selling', selling);
+    item.dataset.resource = resourceType;
+    item.innerHTML = `
+      <div class="market-prices">
+        <span>${this.ui.getResourceIcon(resourceType)} ${resourceType}</span>
+        <span class="market-price"></span>
+      </div>
+      <svg class="market-history" width="100%" height="24" viewBox="0 0 100 24" preserveAspectRatio="none"></svg>
+      <div class="market-controls">
+        <label title="Hubs sell what they hold above the amount kept">
+          <input type="checkbox" data-action="sell" ${selling ? 'checked' : ''}> Sell, keep
+          <input type="number" min="0" data-action="reserve" value="${selling ? reserve : DEFAULT_RESERVE}">
+        </label>
+        <button class="order-btn" data-action="buy"></button>
+      </div>
+    `;
+
+    const sellBox = item.querySelector('[data-action="sell"]');
+    const reserveInput = item.querySelector('[data-action="reserve"]');
+    const updateSelling = () => {
+      setSelling(this.gameState, resourceType, sellBox.checked ? parseInt(reserveInput.value, 10) || 0 : null);
+      item.classList.toggle('selling', sellBox.checked);
+    };
+    sellBox.addEventListener('change', updateSelling);
+    reserveInput.addEventListener('change', updateSelling);
+
+    item.querySelector('[data-action="buy"]').addEventListener('click', () => {
+      const result = buyResource(this.gameState, resourceType, BUY_AMOUNT);
+      document.getElementById('market-message').textContent = result.bought ? '' : result.reason;
+      this.refresh();
+      this.ui.updateResourceDisplay();
+    });
+
+    return item;
+  }
+
+  // Only the live part: money, prices and their history
+  refresh() {
+    if (!this.isVisible()) return;
+
+    const money = document.getElementById('market-money');
+    if (money) {
+      money.textContent = `💰 ${Math.floor(this.gameState.market.money)} money`;
+    }
+
+    document.querySelectorAll('#market-list .market-item').forEach((item) => {
+      const resourceType = item.dataset.resource;
+      const sellPrice = getSellPrice(this.gameState, resourceType);
+      const basePrice = getBasePrice(resourceType);
+      const price = item.querySelector('.market-price');
+      price.textContent = `${sellPrice.toFixed(2)} (base ${basePrice})`;
+      price.style.color = sellPrice < basePrice * 0.9 ? '#f39c12' : '#4bb543';
+
+      const buyPrice = getBuyPrice(this.gameState, resourceType);
+      item.querySelector('[data-action="buy"]').textContent = `Buy ${BUY_AMOUNT} for ${Math.ceil(buyPrice * BUY_AMOUNT)}`;
+
+      this.drawHistory(item.querySelector('.market-history'), resourceType, basePrice);
+    });
+  }
+
+  // Line of recent prices, scaled so the base price sits near the top
+  drawHistory(svg, resourceType, basePrice) {
+    const history = [...(this.gameState.market.history[resourceType] || []), getSellPrice(this.gameState, resourceType)];
+    const top = Math.max(basePrice, ...history) * 1.1 || 1;
+    const step = history.length > 1 ? 100 / (history.length - 1) : 0;
+    const points = history
+      .map((price, index) => `${(index * step).toFixed(1)},${(24 - (price / top) * 24).toFixed(1)}`)
+      .join(' ');
+    const baseY = (24 - (basePrice / top) * 24).toFixed(1);
+
+    svg.innerHTML = `
+      <line x1="0" y1="${baseY}" x2="100" y2="${baseY}" stroke="#555" stroke-dasharray="2,2" stroke-width="0.5"></line>
+      <polyline points="${points}" fill="none" stroke="#ffcc00" stroke-width="1" vector-effect="non-scaling-stroke"></polyline>
+    `;
+  }
+
+  destroy() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+    }
+  }
+}
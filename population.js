@@ -0,0 +1,127 @@
+// population.js - Houses, the residents in them and the workers they send to buildings
+//
+// Each house holds its type's residents, who eat food from the nearest hubs every tick.
+// Buildings whose type lists workers take them from houses within commuting distance,
+// highest priority first; a building short of workers runs slower in proportion and one
+// with none stops. Hungry workers slow their building down too.
+import { getBuildingType, getActiveRecipe } from './buildingTypes.js';
+import { getHubsByDistance, takeFromHub } from './hubs.js';
+import { hexDistance } from './hexUtils.js';
+import { getBuildingPriority } from './buildingProduction.js';
+
+// The simulation runs 60 ticks a second (see the main loop in index.html)
+const TICKS_PER_MINUTE = 3600;
+
+// Food each resident eats per minute
+const FOOD_PER_RESIDENT_PER_MINUTE = 0.5;
+
+// The resource residents eat; validateRuleset makes sure a ruleset with houses has it
+export const FOOD_RESOURCE = 'food';
+
+// How far, in hex steps, workers go from their house to a building
+export const COMMUTE_RADIUS = 5;
+
+// Share of its speed a building keeps when its workers get no food at all
+const STARVING_SPEED = 0.25;
+
+/**
+ * Feed every house and share its residents out as workers. Sets house.fed (0 to 1) on
+ * houses, building.workforce ({ needed, assigned, fed, multiplier }) on buildings that need
+ * workers, and the totals in gameState.population (food as amounts per minute).
+ * @param {Object} gameState - The game state object
+ */
+export function updatePopulation(gameState) {
+  const houses = [];
+  const workplaces = [];
+  for (let building of Object.values(gameState.placed_buildings)) {
+    const buildingType = getBuildingType(building.type);
+    if (!buildingType) continue;
+
+    if (buildingType.residents > 0) {
+      houses.push({ building, free: buildingType.residents });
+    }
+    if (buildingType.workers > 0 && !building.paused) {
+      workplaces.push({ building, needed: buildingType.workers });
+    } else {
+      delete building.workforce;
+    }
+  }
+
+  let residents = 0;
+  for (let house of houses) {
+    house.building.fed = feedHouse(gameState, house.building, house.free);
+    residents += house.free;
+  }
+
+  // Higher priority first, then the longest standing
+  workplaces.sort((a, b) =>
+    getBuildingPriority(b.building) - getBuildingPriority(a.building) ||
+    (a.building.placedAt || 0) - (b.building.placedAt || 0)
+  );
+
+  let workersNeeded = 0;
+  let workersAssigned = 0;
+  for (let workplace of workplaces) {
+    const { building, needed } = workplace;
+    const nearby = houses
+      .map((house) => ({ house, distance: hexDistance(building.col, building.row, house.building.col, house.building.row) }))
+      .filter((entry) => entry.distance <= COMMUTE_RADIUS && entry.house.free > 0)
+      .sort((a, b) => a.distance - b.distance);
+
+    let assigned = 0;
+    let fedTotal = 0;
+    for (let { house } of nearby) {
+      const taken = Math.min(house.free, needed - assigned);
+      house.free -= taken;
+      assigned += taken;
+      fedTotal += taken * house.building.fed;
+      if (assigned >= needed) break;
+    }
+
+    const fed = assigned > 0 ? fedTotal / assigned : 1;
+    building.workforce = {
+      needed,
+      assigned,
+      fed,
+      multiplier: (assigned / needed) * (STARVING_SPEED + (1 - STARVING_SPEED) * fed),
+    };
+    workersNeeded += needed;
+    workersAssigned += assigned;
+  }
+
+  gameState.population = {
+    residents,
+    workersNeeded,
+    workersAssigned,
+    foodNeeded: residents * FOOD_PER_RESIDENT_PER_MINUTE,
+    foodProduced: getFoodProduced(gameState),
+  };
+}
+
+// Take a tick's food for a house's residents from the nearest hubs; returns the share eaten
+function feedHouse(gameState, house, residents) {
+  const needed = (residents * FOOD_PER_RESIDENT_PER_MINUTE) / TICKS_PER_MINUTE;
+  if (needed <= 0) return 1;
+
+  let eaten = 0;
+  for (let hub of getHubsByDistance(gameState, house.col, house.row)) {
+    eaten += takeFromHub(hub, FOOD_RESOURCE, needed - eaten);
+    if (eaten >= needed) break;
+  }
+  return eaten / needed;
+}
+
+// Food made per minute at the buildings' current production rates
+function getFoodProduced(gameState) {
+  let produced = 0;
+  for (let building of Object.values(gameState.placed_buildings)) {
+    if (!building.productionRate) continue;
+    const buildingType = getBuildingType(building.type);
+    const recipe = buildingType && getActiveRecipe(building, buildingType);
+    const food = recipe && (recipe.produces || []).find((item) => item.type === FOOD_RESOURCE);
+    if (food) {
+      produced += building.productionRate * food.amount * TICKS_PER_MINUTE;
+    }
+  }
+  return produced;
+}
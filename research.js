@@ -0,0 +1,168 @@
+// research.js - Tech research driven by the designer's tech tree
+
+import { getBuildingType } from './buildingTypes.js';
+import { getTechs, getTrainType } from './ruleset.js';
+import { canAffordFromHubs, withdrawFromHubs } from './hubs.js';
+
+// Research time for techs that don't set researchTime, multiplied by the tech's tier
+const DEFAULT_SECONDS_PER_TIER = 30;
+
+/**
+ * Create the research section of a fresh game state
+ * @returns {Object} - { completed: tech ids, active: { techId, progress } or null }
+ */
+export function createResearchState() {
+  return {
+    completed: [],
+    active: null,
+  };
+}
+
+/**
+ * Get the research status of a tech
+ * @param {Object} gameState - The game state object containing research
+ * @param {string} techId - Tech id from the ruleset
+ * @returns {string} - 'completed', 'researching', 'available' or 'locked' (missing prerequisites)
+ */
+export function getTechStatus(gameState, techId) {
+  const research = gameState.research;
+  if (research.completed.includes(techId)) return 'completed';
+  if (research.active && research.active.techId === techId) return 'researching';
+  if (getMissingPrerequisites(gameState, techId).length > 0) return 'locked';
+  return 'available';
+}
+
+/**
+ * List the required techs that have not been researched yet
+ * @param {Object} gameState - The game state object
+ * @param {string} techId - Tech id from the ruleset
+ * @returns {Array<string>} - Tech ids still missing
+ */
+export function getMissingPrerequisites(gameState, techId) {
+  const tech = getTechs()[techId];
+  if (!tech || !tech.requires) return [];
+  return tech.requires.filter((requiredId) => !gameState.research.completed.includes(requiredId));
+}
+
+/**
+ * Pay for a tech from the hubs and start researching it
+ * @param {Object} gameState - The game state object
+ * @param {string} techId - Tech id from the ruleset
+ * @returns {Object} - { started, reason } where reason explains a refusal
+ */
+export function startResearch(gameState, techId) {
+  const tech = getTechs()[techId];
+  if (!tech) {
+    return { started: false, reason: `Unknown tech "${techId}"` };
+  }
+
+  const status = getTechStatus(gameState, techId);
+  if (status === 'completed') {
+    return { started: false, reason: `${tech.name} is already researched` };
+  }
+  if (status === 'researching') {
+    return { started: false, reason: `${tech.name} is already being researched` };
+  }
+  if (status === 'locked') {
+    const missing = getMissingPrerequisites(gameState, techId)
+      .map((id) => (getTechs()[id] ? getTechs()[id].name : id));
+    return { started: false, reason: `Requires ${missing.join(', ')}` };
+  }
+  if (gameState.research.active) {
+    return { started: false, reason: 'Another tech is already being researched' };
+  }
+  if (!canAffordFromHubs(gameState, tech.cost)) {
+    return { started: false, reason: 'Not enough resources in hubs' };
+  }
+
+  withdrawFromHubs(gameState, tech.cost);
+  gameState.research.active = { techId, progress: 0 };
+
+  console.log('🔬 RESEARCH STARTED', { tech: tech.name, cost: tech.cost });
+
+  return { started: true, reason: null };
+}
+
+/**
+ * Advance the active research
+ * @param {Object} gameState - The game state object
+ * @param {number} deltaTime - Time elapsed since last update (in milliseconds)
+ */
+export function updateResearch(gameState, deltaTime) {
+  const active = gameState.research.active;
+  if (!active) return;
+
+  const tech = getTechs()[active.techId];
+  if (!tech) {
+    // The ruleset no longer has this tech (e.g. a save from another config)
+    gameState.research.active = null;
+    return;
+  }
+
+  active.progress += deltaTime / (getResearchSeconds(tech) * 1000);
+
+  if (active.progress >= 1.0) {
+    gameState.research.completed.push(active.techId);
+    gameState.research.active = null;
+
+    console.log('🎓 RESEARCH COMPLETE', {
+      tech: tech.name,
+      unlocks: tech.unlocks,
+    });
+  }
+}
+
+/**
+ * Get how long a tech takes to research
+ * @param {Object} tech - Tech definition from the ruleset
+ * @returns {number} - Seconds
+ */
+export function getResearchSeconds(tech) {
+  if (tech.researchTime) return tech.researchTime;
+  return Math.max(1, tech.tier || 1) * DEFAULT_SECONDS_PER_TIER;
+}
+
+/**
+ * Check if a building type can be placed, either from the start or through research
+ * @param {Object} gameState - The game state object
+ * @param {string} buildingTypeId - Building type id
+ * @returns {boolean}
+ */
+export function isBuildingUnlocked(gameState, buildingTypeId) {
+  const buildingType = getBuildingType(buildingTypeId);
+  if (!buildingType) return false;
+  if (buildingType.unlocked) return true;
+
+  return gameState.research.completed.some((techId) => {
+    const tech = getTechs()[techId];
+    return tech && tech.unlocks && tech.unlocks.includes(buildingTypeId);
+  });
+}
+
+/**
+ * Check if a train type can be spawned, either from the start or through research
+ * @param {Object} gameState - The game state object
+ * @param {string} trainTypeId - Train type id
+ * @returns {boolean}
+ */
+export function isTrainUnlocked(gameState, trainTypeId) {
+  const trainType = getTrainType(trainTypeId);
+  if (!trainType) return false;
+  if (trainType.unlocked) return true;
+
+  return gameState.research.completed.some((techId) => {
+    const tech = getTechs()[techId];
+    return tech && tech.unlocks && tech.unlocks.includes(trainTypeId);
+  });
+}
+
+/**
+ * Find the techs that unlock a building type (or train type)
+ * @param {string} buildingTypeId - Building type id
+ * @returns {Array<Object>} - Tech definitions
+ */
+export function getUnlockingTechs(buildingTypeId) {
+  return Object.values(getTechs()).filter(
+    (tech) => tech.unlocks && tech.unlocks.includes(buildingTypeId)
+  );
+}
@@ -0,0 +1,327 @@
+// routing.js - Shortest paths over the track graph (vertex keys joined by track edges)
+
+// Results are cached until the track graph changes; past this many the cache starts over
+const MAX_CACHED_ROUTES = 2000;
+
+/**
+ * Read the world position out of a vertex key made by createVertexKey ("vertex_x_y")
+ * @param {string} vertexKey - Vertex key
+ * @returns {Object|null} - { x, y }, or null if the key is not a vertex key
+ */
+export function parseVertexKey(vertexKey) {
+  const match = /^vertex_(-?[\d.]+)_(-?[\d.]+)$/.exec(vertexKey);
+  if (!match) return null;
+  return { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+}
+
+/**
+ * Finds routes through the track network. Holds references to the live graph maps
+ * that rebuildTrackGraph fills, so invalidate() must be called whenever it runs.
+ *
+ * Every route is { reachable, edges, vertices, distance }: edges is the edge keys to travel
+ * in order, vertices the vertex keys passed (one more than edges) and distance the track
+ * length in world units. Unreachable targets give reachable: false and empty lists.
+ * Routes are shared with the cache, so callers must not modify them.
+ */
+export class TrackRouter {
+  /**
+   * @param {Object} trackGraph - Map of vertex key to the edge keys that meet there
+   * @param {Object} trackEdgeVertices - Map of edge key to its two vertex keys
+   * @param {Object} placedTracks - Map of edge key to track object (with hex1 and hex2)
+   */
+  constructor(trackGraph, trackEdgeVertices, placedTracks) {
+    this.trackGraph = trackGraph;
+    this.trackEdgeVertices = trackEdgeVertices;
+    this.placedTracks = placedTracks;
+    this.cache = new Map();
+  }
+
+  // Forget cached routes; call after the track graph changes
+  invalidate() {
+    this.cache.clear();
+  }
+
+  getEdgeVertices(edgeKey) {
+    return this.trackEdgeVertices[edgeKey] || null;
+  }
+
+  /**
+   * Shortest route between two vertices (A* using straight-line distance)
+   * @param {string} fromVertex - Start vertex key
+   * @param {string} toVertex - Target vertex key
+   * @returns {Object} - Route
+   */
+  findPath(fromVertex, toVertex) {
+    return this.cached(`v|${fromVertex}|${toVertex}`, () => {
+      const target = parseVertexKey(toVertex);
+      const heuristic = (vertexKey) => {
+        const position = parseVertexKey(vertexKey);
+        return position && target ? Math.hypot(position.x - target.x, position.y - target.y) : 0;
+      };
+
+      return this.search([fromVertex], (vertexKey) => vertexKey === toVertex, null, heuristic);
+    });
+  }
+
+  /**
+   * Shortest route from a vertex onto a track that runs alongside a tile, i.e. to where a
+   * train can service the building there. The last edge of the route is that track.
+   * @param {string} fromVertex - Start vertex key
+   * @param {string} tileKey - "col,row" of the target tile
+   * @returns {Object} - Route
+   */
+  findPathToTile(fromVertex, tileKey) {
+    return this.cached(`t|${fromVertex}|${tileKey}`, () =>
+      this.search([fromVertex], null, (edgeKey) => this.isTrackAtTile(edgeKey, tileKey))
+    );
+  }
+
+  /**
+   * Shortest route from the tracks along one tile to the tracks along another
+   * @param {string} fromTileKey - "col,row" of the start tile
+   * @param {string} toTileKey - "col,row" of the target tile
+   * @returns {Object} - Route
+   */
+  findPathBetweenTiles(fromTileKey, toTileKey) {
+    return this.cached(`tt|${fromTileKey}|${toTileKey}`, () =>
+      this.search(
+        this.getTileVertices(fromTileKey),
+        null,
+        (edgeKey) => this.isTrackAtTile(edgeKey, toTileKey)
+      )
+    );
+  }
+
+  /**
+   * Check if two tiles are joined by track
+   * @param {string} fromTileKey - "col,row"
+   * @param {string} toTileKey - "col,row"
+   * @returns {boolean}
+   */
+  isConnected(fromTileKey, toTileKey) {
+    return this.findPathBetweenTiles(fromTileKey, toTileKey).reachable;
+  }
+
+  /**
+   * List the tiles reachable by track from a tile, nearest first (not including the tile itself)
+   * @param {string} tileKey - "col,row"
+   * @returns {Array<string>} - Tile keys
+   */
+  getReachableTiles(tileKey) {
+    return this.cached(`r|${tileKey}`, () => {
+      const distances = this.getDistances(this.getTileVertices(tileKey));
+
+      // A tile is as far away as the nearest end of any track alongside it
+      const tileDistances = new Map();
+      for (let [edgeKey, track] of Object.entries(this.placedTracks)) {
+        const vertices = this.trackEdgeVertices[edgeKey];
+        if (!vertices) continue;
+
+        const reached = vertices.filter((vertexKey) => distances.has(vertexKey));
+        if (reached.length === 0) continue;
+        const distance = Math.min(...reached.map((vertexKey) => distances.get(vertexKey)));
+
+        for (let hex of [track.hex1, track.hex2]) {
+          const key = `${hex.col},${hex.row}`;
+          if (key === tileKey) continue;
+          if (!tileDistances.has(key) || distance < tileDistances.get(key)) {
+            tileDistances.set(key, distance);
+          }
+        }
+      }
+
+      return [...tileDistances.entries()]
+        .sort((a, b) => a[1] - b[1])
+        .map(([key]) => key);
+    });
+  }
+
+  // Vertices at the ends of the tracks alongside a tile
+  getTileVertices(tileKey) {
+    const vertices = new Set();
+    for (let edgeKey in this.placedTracks) {
+      if (this.isTrackAtTile(edgeKey, tileKey)) {
+        for (let vertexKey of this.trackEdgeVertices[edgeKey] || []) {
+          vertices.add(vertexKey);
+        }
+      }
+    }
+    return [...vertices];
+  }
+
+  isTrackAtTile(edgeKey, tileKey) {
+    const track = this.placedTracks[edgeKey];
+    if (!track) return false;
+    return (
+      `${track.hex1.col},${track.hex1.row}` === tileKey ||
+      `${track.hex2.col},${track.hex2.row}` === tileKey
+    );
+  }
+
+  getEdgeLength(edgeKey) {
+    const [vertex1, vertex2] = this.trackEdgeVertices[edgeKey];
+    const a = parseVertexKey(vertex1);
+    const b = parseVertexKey(vertex2);
+    return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 1;
+  }
+
+  /**
+   * Best-first search from a set of start vertices. Ends at the first vertex passing
+   * isGoalVertex, or after travelling the first edge passing isGoalEdge.
+   */
+  search(startVertices, isGoalVertex, isGoalEdge, heuristic = () => 0) {
+    const distances = new Map();
+    const previous = new Map(); // vertex key -> { vertex, edge } it was reached from
+    const open = new MinHeap();
+
+    for (let vertexKey of startVertices) {
+      if (!this.trackGraph[vertexKey]) continue;
+      distances.set(vertexKey, 0);
+      open.push(heuristic(vertexKey), { vertexKey, distance: 0 });
+    }
+
+    while (open.size() > 0) {
+      const { vertexKey, distance, goalEdge } = open.pop();
+
+      // A goal edge was travelled to reach this entry
+      if (goalEdge) {
+        return this.buildRoute(previous, vertexKey, distance, goalEdge);
+      }
+      if (distance > distances.get(vertexKey)) continue;
+      if (isGoalVertex && isGoalVertex(vertexKey)) {
+        return this.buildRoute(previous, vertexKey, distance, null);
+      }
+
+      for (let edgeKey of this.trackGraph[vertexKey] || []) {
+        const vertices = this.trackEdgeVertices[edgeKey];
+        if (!vertices) continue;
+
+        const nextVertex = vertices[0] === vertexKey ? vertices[1] : vertices[0];
+        const nextDistance = distance + this.getEdgeLength(edgeKey);
+
+        if (isGoalEdge && isGoalEdge(edgeKey)) {
+          open.push(nextDistance, { vertexKey, distance: nextDistance, goalEdge: { edgeKey, nextVertex } });
+          continue;
+        }
+
+        if (!distances.has(nextVertex) || nextDistance < distances.get(nextVertex)) {
+          distances.set(nextVertex, nextDistance);
+          previous.set(nextVertex, { vertex: vertexKey, edge: edgeKey });
+          open.push(nextDistance + heuristic(nextVertex), { vertexKey: nextVertex, distance: nextDistance });
+        }
+      }
+    }
+
+    return { reachable: false, edges: [], vertices: [], distance: Infinity };
+  }
+
+  // Walk back from the end of a search to list the route's edges and vertices
+  buildRoute(previous, endVertex, distance, goalEdge) {
+    const edges = [];
+    const vertices = [endVertex];
+
+    let vertexKey = endVertex;
+    while (previous.has(vertexKey)) {
+      const step = previous.get(vertexKey);
+      edges.unshift(step.edge);
+      vertices.unshift(step.vertex);
+      vertexKey = step.vertex;
+    }
+
+    if (goalEdge) {
+      edges.push(goalEdge.edgeKey);
+      vertices.push(goalEdge.nextVertex);
+    }
+
+    return { reachable: true, edges, vertices, distance };
+  }
+
+  // Track distance from the start vertices to every vertex they reach
+  getDistances(startVertices) {
+    const distances = new Map();
+    const open = new MinHeap();
+
+    for (let vertexKey of startVertices) {
+      distances.set(vertexKey, 0);
+      open.push(0, vertexKey);
+    }
+
+    while (open.size() > 0) {
+      const vertexKey = open.pop();
+      const distance = distances.get(vertexKey);
+
+      for (let edgeKey of this.trackGraph[vertexKey] || []) {
+        const vertices = this.trackEdgeVertices[edgeKey];
+        if (!vertices) continue;
+
+        const nextVertex = vertices[0] === vertexKey ? vertices[1] : vertices[0];
+        const nextDistance = distance + this.getEdgeLength(edgeKey);
+        if (!distances.has(nextVertex) || nextDistance < distances.get(nextVertex)) {
+          distances.set(nextVertex, nextDistance);
+          open.push(nextDistance, nextVertex);
+        }
+      }
+    }
+
+    return distances;
+  }
+
+  cached(key, compute) {
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+    if (this.cache.size >= MAX_CACHED_ROUTES) {
+      this.cache.clear();
+    }
+    const result = compute();
+    this.cache.set(key, result);
+    return result;
+  }
+}
+
+// Binary heap of values ordered by priority, lowest first
+export class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push({ priority, value });
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].priority <= items[index].priority) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      while (true) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === index) break;
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+
+    return top.value;
+  }
+}
@@ -0,0 +1,621 @@
+// ruleset.js - Loads the designer's game-config.json and applies it as the live ruleset
+
+import { setBuildingTypes } from './buildingTypes.js';
+import { setTrackTypes, TRACK_KINDS } from './trackRules.js';
+
+// Terrain names the designer may use in allowedTerrain (matched case-insensitively)
+const TERRAIN_NAMES = ['WATER', 'SAND', 'GRASS', 'FOREST', 'MOUNTAIN'];
+
+// Train type used until a config is applied, matching the designer's default
+const DEFAULT_TRAIN_TYPE = {
+  id: 'standard',
+  name: 'Standard Train',
+  icon: '🚂',
+  color: '#c41e3a',
+  speed: 0.02,
+  cargoCapacity: 1000,
+  spawnCost: {},
+  unlocked: true,
+};
+
+// Parts of the ruleset that are not building types (those live in BUILDING_TYPES)
+const ruleset = {
+  resources: {},
+  techs: {},
+  trains: { standard: DEFAULT_TRAIN_TYPE },
+  wagons: {},
+  deposits: {},
+};
+
+/**
+ * Fetch a designer config file and apply it as the live ruleset
+ * @param {string} url - Location of the game-config.json file
+ * @returns {Promise<Object>} - { applied, errors } where errors is a list of readable messages
+ */
+export async function loadRuleset(url) {
+  let config;
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      return { applied: false, errors: [`Could not load ${url} (HTTP ${response.status})`] };
+    }
+    config = await response.json();
+  } catch (e) {
+    return { applied: false, errors: [`Could not read ${url}: ${e.message}`] };
+  }
+
+  return applyRuleset(config);
+}
+
+/**
+ * Validate a designer config and, if it is valid, replace the live ruleset with it
+ * @param {Object} config - Parsed game-config.json
+ * @returns {Object} - { applied, errors }
+ */
+export function applyRuleset(config) {
+  const errors = validateRuleset(config);
+  if (errors.length > 0) {
+    return { applied: false, errors };
+  }
+
+  const buildingTypes = {};
+  for (const def of Object.values(config.buildings)) {
+    buildingTypes[def.id.toUpperCase()] = toBuildingType(def);
+  }
+  setBuildingTypes(buildingTypes);
+  setTrackTypes(config.tracks || {});
+
+  ruleset.resources = { ...config.resources };
+  ruleset.techs = { ...(config.techs || {}) };
+  ruleset.trains = config.trains ? { ...config.trains } : { standard: DEFAULT_TRAIN_TYPE };
+  ruleset.wagons = { ...(config.wagons || {}) };
+  ruleset.deposits = { ...(config.deposits || {}) };
+
+  console.log('📜 Ruleset applied', {
+    resources: Object.keys(ruleset.resources).length,
+    buildings: Object.keys(buildingTypes).length,
+    techs: Object.keys(ruleset.techs).length,
+    trains: Object.keys(ruleset.trains).length,
+    deposits: Object.keys(ruleset.deposits).length,
+  });
+
+  return { applied: true, errors: [] };
+}
+
+/**
+ * Check a designer config for problems the game cannot run with
+ * @param {Object} config - Parsed game-config.json
+ * @returns {Array<string>} - One message per problem, empty if the config is valid
+ */
+export function validateRuleset(config) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return ['Config must be a JSON object'];
+  }
+
+  for (const section of ['resources', 'buildings']) {
+    if (!isPlainObject(config[section])) {
+      errors.push(`"${section}" must be an object`);
+    }
+  }
+  for (const section of ['techs', 'trains', 'wagons', 'tracks', 'deposits']) {
+    if (config[section] !== undefined && !isPlainObject(config[section])) {
+      errors.push(`"${section}" must be an object`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const resourceIds = Object.keys(config.resources);
+  const buildingIds = Object.keys(config.buildings);
+  const techIds = Object.keys(config.techs || {});
+  const trainIds = Object.keys(config.trains || {});
+  const wagonIds = Object.keys(config.wagons || {});
+
+  for (const [key, resource] of Object.entries(config.resources)) {
+    const where = `resources.${key}`;
+    if (!isPlainObject(resource)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    checkId(errors, where, key, resource.id);
+    checkName(errors, where, resource.name);
+    if (resource.weight !== undefined && !(typeof resource.weight === 'number' && resource.weight > 0)) {
+      errors.push(`${where}.weight must be a number > 0`);
+    }
+    // A free resource could be bought without limit
+    if (resource.price !== undefined && !(typeof resource.price === 'number' && Number.isFinite(resource.price) && resource.price > 0)) {
+      errors.push(`${where}.price must be a number > 0`);
+    }
+  }
+
+  let hubCount = 0;
+  for (const [key, building] of Object.entries(config.buildings)) {
+    const where = `buildings.${key}`;
+    if (!isPlainObject(building)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    checkId(errors, where, key, building.id);
+    checkName(errors, where, building.name);
+
+    if (!Array.isArray(building.allowedTerrain) || building.allowedTerrain.length === 0) {
+      errors.push(`${where}.allowedTerrain must list at least one terrain`);
+    } else {
+      for (const terrain of building.allowedTerrain) {
+        if (typeof terrain !== 'string' || !TERRAIN_NAMES.includes(terrain.toUpperCase())) {
+          errors.push(`${where}.allowedTerrain: unknown terrain "${terrain}"`);
+        }
+      }
+    }
+
+    if (!isNonNegativeNumber(building.productionSpeed)) {
+      errors.push(`${where}.productionSpeed must be a number >= 0`);
+    }
+    if (building.storageLimit !== undefined &&
+        !(Number.isInteger(building.storageLimit) && building.storageLimit >= -1)) {
+      errors.push(`${where}.storageLimit must be -1 (infinite) or a whole number >= 0`);
+    }
+
+    if (building.storageLimits !== undefined) {
+      checkResourceMap(errors, `${where}.storageLimits`, building.storageLimits, resourceIds);
+    }
+    checkResourceMap(errors, `${where}.placementCost`, building.placementCost, resourceIds);
+    checkResourceMap(errors, `${where}.produces`, building.produces, resourceIds);
+    checkResourceMap(errors, `${where}.consumes`, building.consumes, resourceIds);
+
+    if (building.recipes !== undefined) {
+      checkRecipes(errors, `${where}.recipes`, building.recipes, resourceIds);
+    }
+    if (building.yieldModifiers !== undefined) {
+      checkYieldModifiers(errors, `${where}.yieldModifiers`, building.yieldModifiers, buildingIds);
+    }
+    if (building.upgrades !== undefined) {
+      checkUpgrades(errors, `${where}.upgrades`, building.upgrades, resourceIds);
+    }
+
+    if (building.residents !== undefined &&
+        !(Number.isInteger(building.residents) && building.residents >= 0)) {
+      errors.push(`${where}.residents must be a whole number >= 0`);
+    } else if (building.residents > 0 && !resourceIds.includes('food')) {
+      // Residents eat food (see population.js) and would all starve without it
+      errors.push(`${where}.residents need a "food" resource to eat`);
+    }
+    if (building.workers !== undefined &&
+        !(Number.isInteger(building.workers) && building.workers >= 0)) {
+      errors.push(`${where}.workers must be a whole number >= 0`);
+    }
+
+    if (building.serviceRadius !== undefined &&
+        !(Number.isInteger(building.serviceRadius) && building.serviceRadius >= 1)) {
+      errors.push(`${where}.serviceRadius must be a whole number >= 1`);
+    }
+
+    if (building.isHub) hubCount++;
+  }
+
+  if (hubCount === 0) {
+    errors.push('At least one building must have isHub set');
+  }
+
+  for (const [key, tech] of Object.entries(config.techs || {})) {
+    const where = `techs.${key}`;
+    if (!isPlainObject(tech)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    checkId(errors, where, key, tech.id);
+    checkName(errors, where, tech.name);
+    checkResourceMap(errors, `${where}.cost`, tech.cost, resourceIds);
+    if (tech.researchTime !== undefined && !(typeof tech.researchTime === 'number' && tech.researchTime > 0)) {
+      errors.push(`${where}.researchTime must be a number of seconds > 0`);
+    }
+    checkIdList(errors, `${where}.unlocks`, tech.unlocks, [...buildingIds, ...trainIds], 'building or train');
+    checkIdList(errors, `${where}.requires`, tech.requires, techIds, 'tech');
+  }
+  checkTechCycles(errors, config.techs || {});
+
+  for (const [key, train] of Object.entries(config.trains || {})) {
+    const where = `trains.${key}`;
+    if (!isPlainObject(train)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    checkId(errors, where, key, train.id);
+    checkName(errors, where, train.name);
+    if (!(typeof train.speed === 'number' && train.speed > 0)) {
+      errors.push(`${where}.speed must be a number > 0`);
+    }
+    if (!(typeof train.cargoCapacity === 'number' && train.cargoCapacity > 0)) {
+      errors.push(`${where}.cargoCapacity must be a number > 0`);
+    }
+    checkResourceMap(errors, `${where}.spawnCost`, train.spawnCost, resourceIds);
+    if (train.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(train.color)) {
+      errors.push(`${where}.color must be a hex color like "#c41e3a"`);
+    }
+    if (train.wagons !== undefined) {
+      if (!Array.isArray(train.wagons)) {
+        errors.push(`${where}.wagons must be a list of wagon ids`);
+      } else {
+        for (const wagonId of train.wagons) {
+          if (!wagonIds.includes(wagonId)) {
+            errors.push(`${where}.wagons: unknown wagon "${wagonId}"`);
+          }
+        }
+        // A consist's capacity is its wagons' capacity (see wagons.js), so the two must agree
+        const wagonCapacity = train.wagons
+          .filter((wagonId) => wagonIds.includes(wagonId) && isPlainObject(config.wagons[wagonId]))
+          .reduce((sum, wagonId) => sum + (config.wagons[wagonId].capacity || 0), 0);
+        if (train.wagons.length > 0 && wagonCapacity !== train.cargoCapacity) {
+          errors.push(`${where}.cargoCapacity must equal its wagons' capacity (${wagonCapacity})`);
+        }
+      }
+    }
+  }
+
+  for (const [key, wagon] of Object.entries(config.wagons || {})) {
+    const where = `wagons.${key}`;
+    if (!isPlainObject(wagon)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    checkId(errors, where, key, wagon.id);
+    checkName(errors, where, wagon.name);
+    if (!(typeof wagon.capacity === 'number' && wagon.capacity > 0)) {
+      errors.push(`${where}.capacity must be a number > 0`);
+    }
+    if (wagon.cargo !== undefined) {
+      if (!Array.isArray(wagon.cargo)) {
+        errors.push(`${where}.cargo must be a list of resource ids`);
+      } else {
+        for (const resource of wagon.cargo) {
+          if (!resourceIds.includes(resource)) {
+            errors.push(`${where}.cargo: unknown resource "${resource}"`);
+          }
+        }
+      }
+    }
+    if (wagon.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(wagon.color)) {
+      errors.push(`${where}.color must be a hex color like "#8e5a2b"`);
+    }
+  }
+
+  for (const [key, deposit] of Object.entries(config.deposits || {})) {
+    const where = `deposits.${key}`;
+    if (!isPlainObject(deposit)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    checkId(errors, where, key, deposit.id);
+    checkName(errors, where, deposit.name);
+    if (!resourceIds.includes(deposit.resource)) {
+      errors.push(`${where}.resource: unknown resource "${deposit.resource}"`);
+    }
+    if (!(typeof deposit.terrain === 'string' && TERRAIN_NAMES.includes(deposit.terrain.toUpperCase()))) {
+      errors.push(`${where}.terrain: unknown terrain "${deposit.terrain}"`);
+    }
+    if (deposit.required !== undefined && typeof deposit.required !== 'boolean') {
+      errors.push(`${where}.required must be true or false`);
+    }
+    if (deposit.speedBonus !== undefined && !isNonNegativeNumber(deposit.speedBonus)) {
+      errors.push(`${where}.speedBonus must be a number >= 0`);
+    }
+    if (deposit.offset !== undefined && !(typeof deposit.offset === 'number' && Number.isFinite(deposit.offset))) {
+      errors.push(`${where}.offset must be a number`);
+    }
+    if (!(typeof deposit.threshold === 'number' && deposit.threshold >= 0 && deposit.threshold < 1)) {
+      errors.push(`${where}.threshold must be a number from 0 up to 1`);
+    }
+    const richness = deposit.richness;
+    if (!(Array.isArray(richness) && richness.length === 2 && richness.every(isNonNegativeNumber) &&
+        richness[0] <= richness[1])) {
+      errors.push(`${where}.richness must be [min, max] amounts with min <= max`);
+    }
+    if (deposit.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(deposit.color)) {
+      errors.push(`${where}.color must be a hex color like "#c0392b"`);
+    }
+  }
+
+  for (const [key, track] of Object.entries(config.tracks || {})) {
+    const where = `tracks.${key}`;
+    if (!TRACK_KINDS.includes(key)) {
+      errors.push(`${where}: unknown track kind (expected ${TRACK_KINDS.join(', ')})`);
+      continue;
+    }
+    if (!isPlainObject(track)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    if (track.name !== undefined) {
+      checkName(errors, where, track.name);
+    }
+    checkResourceMap(errors, `${where}.cost`, track.cost, resourceIds);
+  }
+
+  if (config.trains !== undefined && trainIds.length === 0) {
+    errors.push('At least one train type must be defined');
+  }
+
+  return errors;
+}
+
+/**
+ * Get a resource definition from the live ruleset
+ * @param {string} id - Resource id
+ * @returns {Object|undefined}
+ */
+export function getResourceType(id) {
+  return ruleset.resources[id];
+}
+
+export function getResources() {
+  return ruleset.resources;
+}
+
+export function getTechs() {
+  return ruleset.techs;
+}
+
+export function getTrainTypes() {
+  return ruleset.trains;
+}
+
+/**
+ * Get a train type definition from the live ruleset
+ * @param {string} id - Train type id
+ * @returns {Object|undefined}
+ */
+export function getTrainType(id) {
+  return ruleset.trains[id];
+}
+
+/**
+ * Get a wagon type definition from the live ruleset
+ * @param {string} id - Wagon type id
+ * @returns {Object|undefined}
+ */
+export function getWagonType(id) {
+  return ruleset.wagons[id];
+}
+
+// Deposit kinds in the ground. A required deposit is the only place its resource can be
+// extracted (a Mine needs ore); other deposits speed up production by speedBonus until
+// they are worked out.
+export function getDepositTypes() {
+  return ruleset.deposits;
+}
+
+/**
+ * Get a deposit type definition from the live ruleset
+ * @param {string} id - Deposit type id
+ * @returns {Object|undefined}
+ */
+export function getDepositType(id) {
+  return ruleset.deposits[id];
+}
+
+// Convert a designer building definition into the shape the game uses
+function toBuildingType(def) {
+  const cost = def.placementCost || {};
+
+  return {
+    id: def.id,
+    name: def.name,
+    emoji: def.icon || '🏠',
+    tier: def.tier,
+    allowedTerrain: def.allowedTerrain.map((terrain) => terrain.toUpperCase()),
+    recipes: toRecipes(def),
+    productionSpeed: def.productionSpeed,
+    storageLimit: def.storageLimit === undefined ? -1 : def.storageLimit,
+    storageLimits: { ...(def.storageLimits || {}) },
+    unlocked: !!def.unlocked,
+    isHub: !!def.isHub,
+    serviceRadius: def.serviceRadius,
+    residents: def.residents || 0,
+    workers: def.workers || 0,
+    yieldModifiers: (def.yieldModifiers || []).map((modifier) => ({
+      ...modifier,
+      terrain: modifier.terrain && modifier.terrain.toUpperCase(),
+    })),
+    upgrades: (def.upgrades || []).map((upgrade) => ({
+      cost: { ...(upgrade.cost || {}) },
+      speedMultiplier: upgrade.speedMultiplier || 1,
+      storageMultiplier: upgrade.storageMultiplier || 1,
+      inputEfficiency: upgrade.inputEfficiency || 1,
+    })),
+    cost: Object.keys(cost).length > 0 ? { ...cost } : undefined,
+  };
+}
+
+// A building either lists its recipes or has a single one given by produces/consumes
+function toRecipes(def) {
+  if (Array.isArray(def.recipes) && def.recipes.length > 0) {
+    return def.recipes.map((recipe) => ({
+      id: recipe.id,
+      name: recipe.name,
+      consumes: toAmountList(recipe.consumes),
+      produces: toAmountList(recipe.produces),
+      productionSpeed: recipe.productionSpeed,
+    }));
+  }
+
+  const consumes = toAmountList(def.consumes);
+  const produces = toAmountList(def.produces);
+  if (consumes.length === 0 && produces.length === 0) return [];
+
+  return [{ id: 'default', name: def.name, consumes, produces }];
+}
+
+function toAmountList(map) {
+  return Object.entries(map || {}).map(([type, amount]) => ({ type, amount }));
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function checkId(errors, where, key, id) {
+  if (id !== key) {
+    errors.push(`${where}.id must match its key "${key}" (found "${id}")`);
+  }
+}
+
+function checkName(errors, where, name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push(`${where}.name must be a non-empty string`);
+  }
+}
+
+function checkResourceMap(errors, where, map, resourceIds) {
+  if (map === undefined) return;
+  if (!isPlainObject(map)) {
+    errors.push(`${where} must be an object of resource amounts`);
+    return;
+  }
+  for (const [resource, amount] of Object.entries(map)) {
+    if (!resourceIds.includes(resource)) {
+      errors.push(`${where}: unknown resource "${resource}"`);
+    }
+    if (!isNonNegativeNumber(amount)) {
+      errors.push(`${where}.${resource} must be a number >= 0`);
+    }
+  }
+}
+
+// Fields a recipe may have (see toRecipes); anything else is most likely misplaced
+const RECIPE_FIELDS = ['id', 'name', 'consumes', 'produces', 'productionSpeed'];
+
+function checkRecipes(errors, where, recipes, resourceIds) {
+  if (!Array.isArray(recipes)) {
+    errors.push(`${where} must be a list of recipes`);
+    return;
+  }
+
+  const seenIds = new Set();
+  recipes.forEach((recipe, index) => {
+    const recipeWhere = `${where}[${index}]`;
+    if (!isPlainObject(recipe)) {
+      errors.push(`${recipeWhere} must be an object`);
+      return;
+    }
+    if (typeof recipe.id !== 'string' || recipe.id === '') {
+      errors.push(`${recipeWhere}.id must be a non-empty string`);
+    } else if (seenIds.has(recipe.id)) {
+      errors.push(`${recipeWhere}.id "${recipe.id}" is used by another recipe`);
+    } else {
+      seenIds.add(recipe.id);
+    }
+    checkName(errors, recipeWhere, recipe.name);
+    for (const field of Object.keys(recipe)) {
+      if (!RECIPE_FIELDS.includes(field)) {
+        errors.push(`${recipeWhere}: unknown field "${field}" (recipes take ${RECIPE_FIELDS.join(', ')})`);
+      }
+    }
+    checkResourceMap(errors, `${recipeWhere}.consumes`, recipe.consumes, resourceIds);
+    checkResourceMap(errors, `${recipeWhere}.produces`, recipe.produces, resourceIds);
+    if (recipe.productionSpeed !== undefined && !(typeof recipe.productionSpeed === 'number' && recipe.productionSpeed > 0)) {
+      errors.push(`${recipeWhere}.productionSpeed must be a number > 0`);
+    }
+  });
+}
+
+// Upgrades are the levels above 1, in order; each multiplier is against level 1
+function checkUpgrades(errors, where, upgrades, resourceIds) {
+  if (!Array.isArray(upgrades)) {
+    errors.push(`${where} must be a list of upgrade levels`);
+    return;
+  }
+
+  upgrades.forEach((upgrade, index) => {
+    const upgradeWhere = `${where}[${index}]`;
+    if (!isPlainObject(upgrade)) {
+      errors.push(`${upgradeWhere} must be an object`);
+      return;
+    }
+    checkResourceMap(errors, `${upgradeWhere}.cost`, upgrade.cost, resourceIds);
+    for (const field of ['speedMultiplier', 'storageMultiplier', 'inputEfficiency']) {
+      if (upgrade[field] !== undefined && !(typeof upgrade[field] === 'number' && upgrade[field] > 0)) {
+        errors.push(`${upgradeWhere}.${field} must be a number > 0`);
+      }
+    }
+  });
+}
+
+// Each modifier matches neighbours by exactly one of terrain or building
+function checkYieldModifiers(errors, where, modifiers, buildingIds) {
+  if (!Array.isArray(modifiers)) {
+    errors.push(`${where} must be a list of modifiers`);
+    return;
+  }
+
+  modifiers.forEach((modifier, index) => {
+    const modifierWhere = `${where}[${index}]`;
+    if (!isPlainObject(modifier)) {
+      errors.push(`${modifierWhere} must be an object`);
+      return;
+    }
+    if ((modifier.terrain === undefined) === (modifier.building === undefined)) {
+      errors.push(`${modifierWhere} must set either terrain or building`);
+    } else if (modifier.terrain !== undefined &&
+        !(typeof modifier.terrain === 'string' && TERRAIN_NAMES.includes(modifier.terrain.toUpperCase()))) {
+      errors.push(`${modifierWhere}.terrain: unknown terrain "${modifier.terrain}"`);
+    } else if (modifier.building !== undefined && !buildingIds.includes(modifier.building)) {
+      errors.push(`${modifierWhere}.building: unknown building "${modifier.building}"`);
+    }
+    if (!(typeof modifier.bonus === 'number' && Number.isFinite(modifier.bonus))) {
+      errors.push(`${modifierWhere}.bonus must be a number`);
+    }
+    if (modifier.max !== undefined && !(Number.isInteger(modifier.max) && modifier.max >= 1 && modifier.max <= 6)) {
+      errors.push(`${modifierWhere}.max must be a whole number from 1 to 6`);
+    }
+  });
+}
+
+// Techs that require each other, directly or through others, can never be researched
+function checkTechCycles(errors, techs) {
+  const getRequires = (id) =>
+    isPlainObject(techs[id]) && Array.isArray(techs[id].requires)
+      ? techs[id].requires.filter((required) => isPlainObject(techs[required]))
+      : [];
+
+  const done = new Set();
+  const reported = new Set();
+  const path = [];
+  const visit = (id) => {
+    const start = path.indexOf(id);
+    if (start !== -1) {
+      const cycle = path.slice(start);
+      const cycleKey = [...cycle].sort().join(',');
+      if (!reported.has(cycleKey)) {
+        reported.add(cycleKey);
+        errors.push(`techs.${id}.requires: research loops back to itself (${[...cycle, id].join(' → ')})`);
+      }
+      return;
+    }
+    if (done.has(id)) return;
+
+    path.push(id);
+    getRequires(id).forEach(visit);
+    path.pop();
+    done.add(id);
+  };
+  Object.keys(techs).forEach(visit);
+}
+
+function checkIdList(errors, where, list, knownIds, kind) {
+  if (list === undefined) return;
+  if (!Array.isArray(list)) {
+    errors.push(`${where} must be a list of ${kind} ids`);
+    return;
+  }
+  for (const id of list) {
+    if (!knownIds.includes(id)) {
+      errors.push(`${where}: unknown ${kind} "${id}"`);
+    }
+  }
+}
@@ -369,6 +369,11 @@ export class SaveGameManager {
       nextTrainId: this.gameState.nextTrainId,
       camera: { ...this.gameState.camera },
       terrainConfig: { ...this.gameState.terrainConfig },
+      research: JSON.parse(JSON.stringify(this.gameState.research)),
+      signals: { ...this.gameState.signals },
+      switches: JSON.parse(JSON.stringify(this.gameState.switches || {})),
+      deposits: JSON.parse(JSON.stringify(this.gameState.deposits || {})),
+      market: JSON.parse(JSON.stringify(this.gameState.market)),
       trackCount: Object.keys(this.gameState.placed_tracks).length,
       trainCount: this.gameState.trains.length,
       buildingCount: Object.keys(this.gameState.placed_buildings).length
@@ -0,0 +1,245 @@
+// signals.js - Block signals: signals on track vertices split the network into blocks,
+// and a train may only pass a signal into a block no other train is in
+
+// A wait cycle is reported once it has lasted this many steps (2 seconds at 60 steps a second);
+// wandering trains pick a new track every step, so shorter cycles usually clear by themselves
+const DEADLOCK_REPORT_TICKS = 120;
+
+export class SignalSystem {
+  /**
+   * @param {Object} gameState - The game state object; signals live in gameState.signals
+   * @param {Object} trackGraph - Map of vertex key to the edge keys that meet there
+   * @param {Object} trackEdgeVertices - Map of edge key to its two vertex keys
+   * @param {Object} callbacks - { onDeadlock(trainIds) } called once when a deadlock has lasted a while
+   */
+  constructor(gameState, trackGraph, trackEdgeVertices, callbacks = {}) {
+    this.gameState = gameState;
+    this.trackGraph = trackGraph;
+    this.trackEdgeVertices = trackEdgeVertices;
+    this.callbacks = callbacks;
+
+    if (!this.gameState.signals) {
+      this.gameState.signals = {};
+    }
+
+    this.blockOfEdge = null; // edge key -> block id, rebuilt lazily
+    this.occupancy = new Map(); // block id -> Set of train ids
+    this.waiting = new Map(); // train id -> block id it is waiting to enter
+    this.deadlockTicks = new Map(); // deadlock signature -> steps it has lasted
+  }
+
+  // Recompute blocks on next use; call after the track graph or the signals change
+  invalidate() {
+    this.blockOfEdge = null;
+  }
+
+  hasSignal(vertexKey) {
+    return !!this.gameState.signals[vertexKey];
+  }
+
+  /**
+   * Place a signal on a track vertex, or remove the one that is there
+   * @param {string} vertexKey - Vertex key
+   * @returns {string|null} - 'placed', 'removed', or null if there is no track at the vertex
+   */
+  toggleSignal(vertexKey) {
+    if (this.hasSignal(vertexKey)) {
+      delete this.gameState.signals[vertexKey];
+      this.invalidate();
+      return 'removed';
+    }
+
+    if (!this.trackGraph[vertexKey]) return null;
+
+    this.gameState.signals[vertexKey] = true;
+    this.invalidate();
+    return 'placed';
+  }
+
+  getBlockId(edgeKey) {
+    if (!this.blockOfEdge) {
+      this.computeBlocks();
+    }
+    return this.blockOfEdge.has(edgeKey) ? this.blockOfEdge.get(edgeKey) : null;
+  }
+
+  // Group edges into blocks: edges meeting at a vertex without a signal share a block
+  computeBlocks() {
+    // Signals left behind by removed track no longer mean anything
+    for (let vertexKey in this.gameState.signals) {
+      if (!this.trackGraph[vertexKey]) {
+        delete this.gameState.signals[vertexKey];
+      }
+    }
+
+    this.blockOfEdge = new Map();
+    let nextBlockId = 0;
+
+    for (let edgeKey in this.trackEdgeVertices) {
+      if (this.blockOfEdge.has(edgeKey)) continue;
+
+      const blockId = nextBlockId++;
+      this.blockOfEdge.set(edgeKey, blockId);
+      const queue = [edgeKey];
+
+      while (queue.length > 0) {
+        const current = queue.shift();
+        for (let vertexKey of this.trackEdgeVertices[current]) {
+          if (this.hasSignal(vertexKey)) continue;
+
+          for (let nextEdgeKey of this.trackGraph[vertexKey] || []) {
+            if (!this.blockOfEdge.has(nextEdgeKey)) {
+              this.blockOfEdge.set(nextEdgeKey, blockId);
+              queue.push(nextEdgeKey);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Start a simulation step: record which blocks the trains are in
+   * @param {Array} trains - All trains
+   */
+  beginTick(trains) {
+    this.occupancy = new Map();
+    this.waiting = new Map();
+
+    for (let train of trains) {
+      this.occupy(this.getBlockId(train.edgeKey), train.id);
+    }
+  }
+
+  /**
+   * Ask to move a train from its edge onto the next one at a vertex. Entry is refused
+   * when it passes a signal into a block another train is in; the train should wait.
+   * @param {Object} train - The train object (still on its current edge)
+   * @param {string} vertexKey - Vertex the train is at
+   * @param {string} nextEdgeKey - Edge the train wants to take
+   * @returns {boolean} - True if the train may go
+   */
+  requestEntry(train, vertexKey, nextEdgeKey) {
+    const currentBlock = this.getBlockId(train.edgeKey);
+    const nextBlock = this.getBlockId(nextEdgeKey);
+    if (!this.hasSignal(vertexKey) || currentBlock === nextBlock) return true;
+
+    const occupants = this.occupancy.get(nextBlock);
+    const blocked = occupants && [...occupants].some((trainId) => trainId !== train.id);
+    if (blocked) {
+      this.waiting.set(train.id, nextBlock);
+      return false;
+    }
+
+    // Reserve the new block now so a train handled later in the same step sees it taken
+    const previous = this.occupancy.get(currentBlock);
+    if (previous) previous.delete(train.id);
+    this.occupy(nextBlock, train.id);
+    return true;
+  }
+
+  /**
+   * Check whether a train heading for a vertex should brake to stand there: the vertex
+   * has a signal and a block beyond it has another train in it
+   * @param {Object} train - The train object
+   * @param {string} vertexKey - Vertex ahead of the train
+   * @returns {boolean}
+   */
+  isStopAhead(train, vertexKey) {
+    if (!this.hasSignal(vertexKey)) return false;
+
+    const currentBlock = this.getBlockId(train.edgeKey);
+    return (this.trackGraph[vertexKey] || []).some((edgeKey) => {
+      const blockId = this.getBlockId(edgeKey);
+      if (blockId === currentBlock) return false;
+      const occupants = this.occupancy.get(blockId);
+      return !!occupants && [...occupants].some((trainId) => trainId !== train.id);
+    });
+  }
+
+  isWaiting(trainId) {
+    return this.waiting.has(trainId);
+  }
+
+  /**
+   * Finish a simulation step: look for trains waiting on each other in a cycle
+   * @returns {Array<Array<number>>} - Train ids of every deadlock found
+   */
+  endTick() {
+    const deadlocks = this.findDeadlocks();
+
+    const current = new Map();
+    for (let trainIds of deadlocks) {
+      const signature = trainIds.join(',');
+      const ticks = (this.deadlockTicks.get(signature) || 0) + 1;
+      current.set(signature, ticks);
+      if (ticks === DEADLOCK_REPORT_TICKS && this.callbacks.onDeadlock) {
+        this.callbacks.onDeadlock(trainIds);
+      }
+    }
+    // Forget deadlocks that cleared, so they are reported again if they come back
+    this.deadlockTicks = current;
+
+    return deadlocks;
+  }
+
+  // Cycles in the wait-for graph: a waiting train waits for every train in the block it wants
+  findDeadlocks() {
+    const waitsFor = new Map();
+    for (let [trainId, blockId] of this.waiting) {
+      const occupants = [...(this.occupancy.get(blockId) || [])].filter((id) => id !== trainId);
+      waitsFor.set(trainId, occupants);
+    }
+
+    const deadlocks = [];
+    const state = new Map(); // train id -> 'visiting' | 'done'
+    const stack = [];
+
+    const visit = (trainId) => {
+      state.set(trainId, 'visiting');
+      stack.push(trainId);
+
+      for (let otherId of waitsFor.get(trainId) || []) {
+        if (state.get(otherId) === 'visiting') {
+          const cycle = stack.slice(stack.indexOf(otherId));
+          deadlocks.push(cycle.sort((a, b) => a - b));
+        } else if (!state.has(otherId)) {
+          visit(otherId);
+        }
+      }
+
+      stack.pop();
+      state.set(trainId, 'done');
+    };
+
+    for (let trainId of waitsFor.keys()) {
+      if (!state.has(trainId)) visit(trainId);
+    }
+
+    return deadlocks;
+  }
+
+  /**
+   * Get what each signal shows: red while a block next to it has a train in it
+   * @returns {Object} - Map of vertex key to 'red' or 'green'
+   */
+  getSignalStates() {
+    const states = {};
+    for (let vertexKey in this.gameState.signals) {
+      const occupied = (this.trackGraph[vertexKey] || []).some((edgeKey) => {
+        const occupants = this.occupancy.get(this.getBlockId(edgeKey));
+        return occupants && occupants.size > 0;
+      });
+      states[vertexKey] = occupied ? 'red' : 'green';
+    }
+    return states;
+  }
+
+  occupy(blockId, trainId) {
+    if (blockId === null) return;
+    if (!this.occupancy.has(blockId)) {
+      this.occupancy.set(blockId, new Set());
+    }
+    this.occupancy.get(blockId).add(trainId);
+  }
+}
@@ -0,0 +1,151 @@
+// switchPanel.js - Editor for the selected junction switch: default branch and cargo rules
+import { getResources } from './ruleset.js';
+
+export class SwitchPanel {
+  constructor(switchSystem) {
+    this.switches = switchSystem;
+    this.selectedVertex = null;
+
+    this.createSwitchPanelHTML();
+  }
+
+  createSwitchPanelHTML() {
+    const controlsDiv = document.getElementById('controls');
+    if (!controlsDiv) {
+      console.error('Controls div not found!');
+      return;
+    }
+
+    controlsDiv.insertAdjacentHTML('beforeend', '<div id="switch-panel"></div>');
+
+    if (!document.getElementById('switch-panel-styles')) {
+      const style = document.createElement('style');
+      style.id = 'switch-panel-styles';
+      style.textContent = `
+        #switch-panel {
+          display: none;
+          margin-top: 5px;
+          max-width: 280px;
+          background: #2a2a2a;
+          border: 1px solid #555;
+          border-radius: 4px;
+          padding: 6px 8px;
+          font-size: 11px;
+        }
+        #switch-panel.visible {
+          display: block;
+        }
+        #switch-panel select {
+          font-size: 10px;
+          margin: 2px 4px 0 0;
+        }
+        .switch-rule {
+          margin: 4px 0;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+
+  /**
+   * Show the editor for a switch, or hide it
+   * @param {string|null} vertexKey - Switch vertex, or null to close the editor
+   */
+  select(vertexKey) {
+    this.selectedVertex = vertexKey && this.switches.hasSwitch(vertexKey) ? vertexKey : null;
+    this.update();
+  }
+
+  // Call when switches may have changed underneath the panel (track removed, game loaded)
+  refresh() {
+    if (this.selectedVertex && !this.switches.hasSwitch(this.selectedVertex)) {
+      this.selectedVertex = null;
+    }
+    this.update();
+  }
+
+  update() {
+    const container = document.getElementById('switch-panel');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.classList.toggle('visible', !!this.selectedVertex);
+    if (!this.selectedVertex) return;
+
+    const vertexKey = this.selectedVertex;
+    const junction = this.switches.getSwitch(vertexKey);
+
+    const title = document.createElement('div');
+    title.innerHTML = `
+      <b>🔀 Switch</b>
+      <button class="order-btn" data-action="close" title="Close" style="float: right;">✕</button>
+    `;
+    title.querySelector('[data-action="close"]').addEventListener('click', () => this.select(null));
+    container.appendChild(title);
+
+    const defaultRow = document.createElement('div');
+    defaultRow.className = 'switch-rule';
+    defaultRow.innerHTML = `Default ${this.createBranchSelect(vertexKey, junction.branch)}`;
+    defaultRow.querySelector('select').addEventListener('change', (e) => {
+      junction.branch = e.target.value;
+    });
+    container.appendChild(defaultRow);
+
+    junction.rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'switch-rule';
+      row.innerHTML = `
+        ${this.createResourceSelect(rule.resource)}
+        goes ${this.createBranchSelect(vertexKey, rule.branch)}
+        <button class="order-btn" data-action="remove" title="Remove rule">✕</button>
+      `;
+
+      const [resourceSelect, branchSelect] = row.querySelectorAll('select');
+      resourceSelect.addEventListener('change', () => {
+        rule.resource = resourceSelect.value;
+      });
+      branchSelect.addEventListener('change', () => {
+        rule.branch = branchSelect.value;
+      });
+      row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+        this.switches.removeRule(vertexKey, index);
+        this.update();
+      });
+
+      container.appendChild(row);
+    });
+
+    const addButton = document.createElement('button');
+    addButton.className = 'tech-research-btn';
+    addButton.textContent = '➕ Add cargo rule';
+    addButton.addEventListener('click', () => {
+      const firstResource = Object.keys(getResources())[0];
+      if (!firstResource) return;
+      this.switches.addRule(vertexKey, firstResource, junction.branch);
+      this.update();
+    });
+    container.appendChild(addButton);
+
+    const hint = document.createElement('div');
+    hint.style.cssText = 'color: #888; margin-top: 4px;';
+    hint.textContent = 'Trains carrying a rule\'s cargo take its branch; others take the default. Trains with a route follow their route.';
+    container.appendChild(hint);
+  }
+
+  createBranchSelect(vertexKey, value) {
+    const branches = this.switches.getBranches(vertexKey);
+    return `
+      <select>
+        ${branches.map(edgeKey => `<option value="${edgeKey}" ${edgeKey === value ? 'selected' : ''}>${this.switches.getBranchLabel(vertexKey, edgeKey)}</option>`).join('')}
+      </select>
+    `;
+  }
+
+  createResourceSelect(value) {
+    return `
+      <select>
+        ${Object.values(getResources()).map(resource => `<option value="${resource.id}" ${resource.id === value ? 'selected' : ''}>${resource.icon || ''} ${resource.name}</option>`).join('')}
+      </select>
+    `;
+  }
+}
@@ -0,0 +1,165 @@
+// switches.js - Junction switches: at a vertex where three or more tracks meet, a switch
+// sends trains without a route down a chosen branch instead of a random one
+import { parseVertexKey } from './routing.js';
+
+// Track edges leave a vertex at multiples of 60°; screen y points down
+const BRANCH_DIRECTIONS = ['→ E', '↘ SE', '↙ SW', '← W', '↖ NW', '↗ NE'];
+
+export class SwitchSystem {
+  /**
+   * Switches live in gameState.switches as vertex key -> { branch, rules }, where branch is
+   * the default edge key and rules is a list of { resource, branch } tried in order.
+   * @param {Object} gameState - The game state object
+   * @param {Object} trackGraph - Map of vertex key to the edge keys that meet there
+   * @param {Object} trackEdgeVertices - Map of edge key to its two vertex keys
+   */
+  constructor(gameState, trackGraph, trackEdgeVertices) {
+    this.gameState = gameState;
+    this.trackGraph = trackGraph;
+    this.trackEdgeVertices = trackEdgeVertices;
+
+    if (!this.gameState.switches) {
+      this.gameState.switches = {};
+    }
+  }
+
+  hasSwitch(vertexKey) {
+    return !!this.gameState.switches[vertexKey];
+  }
+
+  getSwitch(vertexKey) {
+    return this.gameState.switches[vertexKey] || null;
+  }
+
+  // Only junctions have a choice to make
+  canPlaceSwitch(vertexKey) {
+    return (this.trackGraph[vertexKey] || []).length > 2;
+  }
+
+  getBranches(vertexKey) {
+    return this.trackGraph[vertexKey] || [];
+  }
+
+  /**
+   * Place a switch at a junction, set to its first branch
+   * @param {string} vertexKey - Vertex key
+   * @returns {boolean} - False if the vertex is not a junction
+   */
+  placeSwitch(vertexKey) {
+    if (!this.canPlaceSwitch(vertexKey)) return false;
+    if (!this.hasSwitch(vertexKey)) {
+      this.gameState.switches[vertexKey] = {
+        branch: this.getBranches(vertexKey)[0],
+        rules: [],
+      };
+    }
+    return true;
+  }
+
+  removeSwitch(vertexKey) {
+    delete this.gameState.switches[vertexKey];
+  }
+
+  /**
+   * Set a switch to its next branch
+   * @param {string} vertexKey - Vertex key
+   * @returns {string|null} - The new default branch, or null if there is no switch
+   */
+  cycleBranch(vertexKey) {
+    const junction = this.getSwitch(vertexKey);
+    if (!junction) return null;
+
+    const branches = this.getBranches(vertexKey);
+    const index = branches.indexOf(junction.branch);
+    junction.branch = branches[(index + 1) % branches.length];
+    return junction.branch;
+  }
+
+  addRule(vertexKey, resource, branch) {
+    const junction = this.getSwitch(vertexKey);
+    if (!junction) return;
+    junction.rules.push({ resource, branch });
+  }
+
+  removeRule(vertexKey, index) {
+    const junction = this.getSwitch(vertexKey);
+    if (!junction) return;
+    junction.rules.splice(index, 1);
+  }
+
+  /**
+   * Pick the track a train takes at a switch: the first rule for a resource the train
+   * carries, otherwise the default branch. Branches the train cannot take (such as the
+   * track it arrived on) are passed over.
+   * @param {string} vertexKey - Vertex the train is at
+   * @param {Object} train - The train object
+   * @param {Array<string>} candidates - Edge keys the train could take
+   * @returns {string|null} - Edge key, or null if there is no switch or no usable branch
+   */
+  chooseBranch(vertexKey, train, candidates) {
+    const junction = this.getSwitch(vertexKey);
+    if (!junction) return null;
+
+    for (let rule of junction.rules) {
+      if ((train.cargo[rule.resource] || 0) > 0 && candidates.includes(rule.branch)) {
+        return rule.branch;
+      }
+    }
+
+    return candidates.includes(junction.branch) ? junction.branch : null;
+  }
+
+  // Drop switches whose junction is gone and repoint branches whose track was removed;
+  // call after the track graph changes
+  prune() {
+    for (let [vertexKey, junction] of Object.entries(this.gameState.switches)) {
+      if (!this.canPlaceSwitch(vertexKey)) {
+        delete this.gameState.switches[vertexKey];
+        continue;
+      }
+
+      const branches = this.getBranches(vertexKey);
+      if (!branches.includes(junction.branch)) {
+        junction.branch = branches[0];
+      }
+      junction.rules = junction.rules.filter((rule) => branches.includes(rule.branch));
+    }
+  }
+
+  /**
+   * Compass label for a branch as seen from the switch, e.g. "↗ NE"
+   * @param {string} vertexKey - Switch vertex
+   * @param {string} edgeKey - Branch edge key
+   * @returns {string}
+   */
+  getBranchLabel(vertexKey, edgeKey) {
+    const vertices = this.trackEdgeVertices[edgeKey];
+    if (!vertices) return edgeKey;
+
+    const from = parseVertexKey(vertexKey);
+    const to = parseVertexKey(vertices[0] === vertexKey ? vertices[1] : vertices[0]);
+    if (!from || !to) return edgeKey;
+
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const sector = Math.round(angle / (Math.PI / 3));
+    return BRANCH_DIRECTIONS[(sector + 6) % 6];
+  }
+
+  /**
+   * Get what to draw for each switch
+   * @returns {Object} - Map of vertex key to { towards, hasRules }, where towards is the
+   *   vertex key at the far end of the default branch
+   */
+  getSwitchStates() {
+    const states = {};
+    for (let [vertexKey, junction] of Object.entries(this.gameState.switches)) {
+      const vertices = this.trackEdgeVertices[junction.branch];
+      if (!vertices) continue;
+      states[vertexKey] = {
+        towards: vertices[0] === vertexKey ? vertices[1] : vertices[0],
+        hasRules: junction.rules.length > 0,
+      };
+    }
+    return states;
+  }
+}
@@ -1,3 +1,5 @@
+import { getDepositTypes } from './ruleset.js';
+
 // WORLD SEED - Change this number to generate different worlds!
 let WORLD_SEED = 12345;
 let permutation = [];
@@ -155,6 +157,40 @@ export function generateTerrain(col, row, TERRAIN) {
   return TERRAIN.MOUNTAIN;
 }
 
+// Resource deposits in the ground, one kind per entry in the ruleset's deposits. Each kind
+// has its own noise field (sampled at an offset so the fields don't line up) and only occurs
+// on one terrain. Where the noise rises above the threshold there is a deposit, richer the
+// higher it goes.
+// Deposits come in patches a few hexes across
+const DEPOSIT_SCALE = 0.25;
+
+// Generate the deposit under a hex, if any
+export function generateDeposit(col, row, terrainName) {
+  let best = null;
+  let bestStrength = 0;
+
+  for (let depositType of Object.values(getDepositTypes())) {
+    if (depositType.terrain.toUpperCase() !== terrainName.toUpperCase()) continue;
+
+    const noiseValue = multiOctaveNoise(
+      col * DEPOSIT_SCALE + (depositType.offset || 0),
+      row * DEPOSIT_SCALE + (depositType.offset || 0),
+      2
+    );
+    const strength = (noiseValue - depositType.threshold) / (1 - depositType.threshold);
+    if (strength > bestStrength) {
+      best = depositType;
+      bestStrength = strength;
+    }
+  }
+
+  if (!best) return null;
+
+  const [minRichness, maxRichness] = best.richness;
+  const richness = lerp(Math.min(1, bestStrength), minRichness, maxRichness);
+  return { type: best.id, richness: Math.round(richness / 10) * 10 };
+}
+
 // Update configuration and regenerate world
 export function updateConfig(newConfig) {
   Object.assign(config, newConfig);
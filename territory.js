@@ -0,0 +1,82 @@
+// territory.js - Where buildings may go: within reach of hubs joined by rail to the capital
+//
+// The first hub placed is the capital. Each hub serves the tiles within its service radius
+// (in hex steps), but only hubs the capital can reach by rail count towards territory, so
+// a new hub expands it once track links it up. Each extra hub costs more than the last.
+import { getBuildingType } from './buildingTypes.js';
+import { getHubs } from './hubs.js';
+import { hexDistance } from './hexUtils.js';
+
+// Service radius for hubs whose type does not set one
+const DEFAULT_SERVICE_RADIUS = 6;
+
+/**
+ * Get how far a hub's territory reaches
+ * @param {Object} buildingType - The hub's building type
+ * @returns {number} - Radius in hex steps
+ */
+export function getServiceRadius(buildingType) {
+  return (buildingType && buildingType.serviceRadius) || DEFAULT_SERVICE_RADIUS;
+}
+
+/**
+ * Get the capital: the hub placed first
+ * @param {Object} gameState - The game state object
+ * @returns {Object|null} - Hub building instance, or null before any hub is placed
+ */
+export function getCapitalHub(gameState) {
+  const hubs = getHubs(gameState);
+  if (hubs.length === 0) return null;
+  return hubs.reduce((first, hub) => ((hub.placedAt || 0) < (first.placedAt || 0) ? hub : first));
+}
+
+/**
+ * Get the hubs that make up territory: the capital and every hub it reaches by rail
+ * @param {Object} gameState - The game state object
+ * @param {Function} getReachableTiles - (tileKey) => tile keys reachable by rail from it
+ * @returns {Array} - { col, row, radius } per hub
+ */
+export function getTerritoryHubs(gameState, getReachableTiles) {
+  const capital = getCapitalHub(gameState);
+  if (!capital) return [];
+
+  const reachable = new Set(getReachableTiles(`${capital.col},${capital.row}`));
+  return getHubs(gameState)
+    .filter((hub) => hub === capital || reachable.has(`${hub.col},${hub.row}`))
+    .map((hub) => ({
+      col: hub.col,
+      row: hub.row,
+      radius: getServiceRadius(getBuildingType(hub.type)),
+    }));
+}
+
+/**
+ * Check if a tile lies inside territory
+ * @param {Array} territoryHubs - From getTerritoryHubs
+ * @param {number} col - Tile column
+ * @param {number} row - Tile row
+ * @returns {boolean}
+ */
+export function isInTerritory(territoryHubs, col, row) {
+  return territoryHubs.some((hub) => hexDistance(col, row, hub.col, hub.row) <= hub.radius);
+}
+
+/**
+ * Get what placing a building costs now. The first hub is free; every later hub costs its
+ * placement cost once more for each hub already built.
+ * @param {Object} gameState - The game state object
+ * @param {Object} buildingType - The building type to place
+ * @returns {Object|undefined} - Map of resource type to amount, undefined when free
+ */
+export function getPlacementCost(gameState, buildingType) {
+  if (!buildingType.isHub || !buildingType.cost) return buildingType.cost;
+
+  const hubCount = getHubs(gameState).length;
+  if (hubCount === 0) return undefined;
+
+  const cost = {};
+  for (let [resourceType, amount] of Object.entries(buildingType.cost)) {
+    cost[resourceType] = amount * hubCount;
+  }
+  return cost;
+}
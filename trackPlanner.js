@@ -0,0 +1,81 @@
+// trackPlanner.js - Plans a continuous run of track between two grid vertices (A* over hex corners)
+//
+// The planner knows nothing about the map: the caller passes functions that list the
+// edges at a vertex and price them, so the same search works for any cost rules.
+import { MinHeap } from './routing.js';
+
+// Give up after expanding this many vertices so a long drag cannot stall the game
+const DEFAULT_MAX_EXPANDED = 4000;
+
+/**
+ * Find the cheapest chain of edges from one vertex to another
+ * @param {Object} start - Start vertex, in whatever form the callbacks understand
+ * @param {Object} goal - Goal vertex
+ * @param {Object} options
+ * @param {Function} options.getEdges - (vertex) => [{ to, ... }], the edges at a vertex and where each leads
+ * @param {Function} options.getEdgeCost - (edge) => cost, or Infinity where track cannot go
+ * @param {Function} options.vertexKey - (vertex) => string identifying the vertex
+ * @param {Function} [options.estimate] - (vertex, goal) => lower bound of the remaining cost
+ * @param {number} [options.maxExpanded] - Search budget in vertices
+ * @returns {Object} - { found, edges, cost } with edges in travel order; exhausted is true
+ *   when the search budget ran out before the goal was reached
+ */
+export function planTrackPath(start, goal, options) {
+  const {
+    getEdges,
+    getEdgeCost,
+    vertexKey,
+    estimate = () => 0,
+    maxExpanded = DEFAULT_MAX_EXPANDED,
+  } = options;
+
+  const goalKey = vertexKey(goal);
+  const startKey = vertexKey(start);
+
+  const costs = new Map([[startKey, 0]]);
+  const previous = new Map(); // vertex key -> { key, edge } it was reached from
+  const closed = new Set();
+  const open = new MinHeap();
+  open.push(estimate(start, goal), { vertex: start, key: startKey, cost: 0 });
+
+  let expanded = 0;
+  while (open.size() > 0 && expanded < maxExpanded) {
+    const current = open.pop();
+
+    if (closed.has(current.key)) continue;
+    closed.add(current.key);
+    expanded++;
+
+    if (current.key === goalKey) {
+      return { found: true, edges: buildEdgeList(previous, goalKey), cost: current.cost };
+    }
+
+    for (let edge of getEdges(current.vertex)) {
+      const edgeCost = getEdgeCost(edge);
+      if (!Number.isFinite(edgeCost)) continue;
+
+      const nextKey = vertexKey(edge.to);
+      if (closed.has(nextKey)) continue;
+
+      const nextCost = current.cost + edgeCost;
+      if (!costs.has(nextKey) || nextCost < costs.get(nextKey)) {
+        costs.set(nextKey, nextCost);
+        previous.set(nextKey, { key: current.key, edge });
+        open.push(nextCost + estimate(edge.to, goal), { vertex: edge.to, key: nextKey, cost: nextCost });
+      }
+    }
+  }
+
+  return { found: false, edges: [], cost: Infinity, exhausted: open.size() > 0 };
+}
+
+function buildEdgeList(previous, goalKey) {
+  const edges = [];
+  let key = goalKey;
+  while (previous.has(key)) {
+    const step = previous.get(key);
+    edges.unshift(step.edge);
+    key = step.key;
+  }
+  return edges;
+}
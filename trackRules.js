@@ -0,0 +1,71 @@
+// trackRules.js - Which kind of track an edge needs (normal, bridge or tunnel) and what it costs
+
+// Built-in defaults. Entries in the "tracks" section of game-config.json override them (see ruleset.js)
+const DEFAULT_TRACK_TYPES = {
+  normal: {
+    id: 'normal',
+    name: 'Track',
+    cost: { wood: 1 },
+  },
+  bridge: {
+    id: 'bridge',
+    name: 'Bridge',
+    cost: { wood: 15 },
+  },
+  tunnel: {
+    id: 'tunnel',
+    name: 'Tunnel',
+    cost: { wood: 5, stone: 10 },
+  },
+};
+
+export const TRACK_KINDS = Object.keys(DEFAULT_TRACK_TYPES);
+
+export const TRACK_TYPES = { ...DEFAULT_TRACK_TYPES };
+
+/**
+ * Replace the track types with the defaults plus the given overrides
+ * @param {Object} overrides - Map of track kind to { name, cost }
+ */
+export function setTrackTypes(overrides) {
+  for (const kind of TRACK_KINDS) {
+    TRACK_TYPES[kind] = {
+      ...DEFAULT_TRACK_TYPES[kind],
+      ...(overrides[kind] || {}),
+      id: kind,
+    };
+  }
+}
+
+export function getTrackType(kind) {
+  return TRACK_TYPES[kind] || TRACK_TYPES.normal;
+}
+
+/**
+ * Get the kind of track an edge needs from the terrain on either side of it
+ * @param {string} terrain1 - Terrain name of hex1 (e.g. "Water")
+ * @param {string} terrain2 - Terrain name of hex2
+ * @returns {string} - 'bridge' between two water hexes, 'tunnel' between two mountains, else 'normal'
+ */
+export function getTrackKind(terrain1, terrain2) {
+  const a = terrain1.toUpperCase();
+  const b = terrain2.toUpperCase();
+
+  if (a === 'WATER' && b === 'WATER') return 'bridge';
+  if (a === 'MOUNTAIN' && b === 'MOUNTAIN') return 'tunnel';
+  return 'normal';
+}
+
+/**
+ * Check the rules a track of some kind has to meet before it can be built
+ * @param {string} kind - Track kind
+ * @param {boolean} joinsNetwork - Whether either end of the edge meets existing track
+ * @returns {string|null} - Why the track cannot be built, or null if it can
+ */
+export function checkTrackPlacement(kind, joinsNetwork) {
+  // A bridge is built out from track that is already there, so it cannot float in open water
+  if (kind === 'bridge' && !joinsNetwork) {
+    return 'Bridges must continue existing track';
+  }
+  return null;
+}
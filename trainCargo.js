@@ -0,0 +1,328 @@
+// trainCargo.js - Loading and unloading train cargo at the buildings a train passes
+
+import { getBuildingType } from './buildingTypes.js';
+import {
+  addResourceToBuilding,
+  removeResourceFromBuilding,
+  getInputDemand,
+  getBuildingPriority,
+} from './buildingProduction.js';
+import { takeFromHub } from './hubs.js';
+import { getFreeSpace, loadCargo, removeCargo } from './wagons.js';
+
+// Pickups and deliveries kept in train.history, newest first
+const CARGO_HISTORY_LENGTH = 10;
+
+/**
+ * Get the total amount of cargo a train is carrying
+ * @param {Object} train - The train object
+ * @returns {number}
+ */
+export function getCargoAmount(train) {
+  let total = 0;
+  for (let resourceType in train.cargo) {
+    total += train.cargo[resourceType];
+  }
+  return total;
+}
+
+/**
+ * Create the default cargo rules for a train: carry anything, unload everything a
+ * building takes, and count as full for a full-load wait only when completely full
+ * @returns {Object} - { accept, unload, minFill }: accept is null for any cargo or a list of
+ *   resource ids, unload is 'all', 'none' or a resource id, minFill is a share from 0 to 1
+ */
+export function createCargoRules() {
+  return {
+    accept: null,
+    unload: 'all',
+    minFill: 1,
+  };
+}
+
+/**
+ * Get a train's cargo rules, giving trains from older saves the defaults
+ * @param {Object} train - The train object
+ * @returns {Object} - The train's rules (see createCargoRules)
+ */
+export function getCargoRules(train) {
+  if (!train.cargoRules) {
+    train.cargoRules = createCargoRules();
+  }
+  return train.cargoRules;
+}
+
+/**
+ * Check if a train's rules let it load a resource
+ * @param {Object} train - The train object
+ * @param {string} resourceType - Resource type
+ * @returns {boolean}
+ */
+export function acceptsCargo(train, resourceType) {
+  const { accept } = getCargoRules(train);
+  return !accept || accept.includes(resourceType);
+}
+
+/**
+ * Get how full a train is, counting only the wagons that can carry cargo it accepts
+ * @param {Object} train - The train object
+ * @returns {number} - Share from 0 to 1 (1 if no wagon can carry accepted cargo)
+ */
+export function getFillRatio(train) {
+  let capacity = 0;
+  let carried = 0;
+  for (let wagon of train.wagons || []) {
+    const usable = !wagon.accepts || wagon.accepts.some((resourceType) => acceptsCargo(train, resourceType));
+    if (!usable) continue;
+
+    capacity += wagon.capacity;
+    carried += Object.values(wagon.cargo).reduce((sum, amount) => sum + amount, 0);
+  }
+  return capacity > 0 ? carried / capacity : 1;
+}
+
+/**
+ * Check if a train may leave a stop: with a full-load order it waits until it is at
+ * least as full as its minimum fill
+ * @param {Object} train - The train object
+ * @param {Object|null} order - The order for the stop
+ * @returns {boolean}
+ */
+export function isLoadedEnough(train, order) {
+  // A stop that loads nothing has nothing to wait for
+  if (!order || !order.fullLoad || order.load === 'none') return true;
+  return getFillRatio(train) >= getCargoRules(train).minFill - 1e-9;
+}
+
+/**
+ * Service a building the train is passing, following an order's load/unload settings.
+ * Orders set to 'auto' unload by the train's own rules; nothing the train does not
+ * accept is ever loaded.
+ * @param {Object} train - The train object
+ * @param {Object} building - The building instance the train is passing
+ * @param {Object|null} order - The order for this stop, or null to load and unload automatically
+ * @param {Array} consumers - Buildings connected to the building by track: hubs restock the
+ *   train for them, and cargo that higher priority stops on the train's route need is not
+ *   unloaded elsewhere
+ * @returns {Object} - { unloaded, loaded }, maps of resource type to amount
+ */
+export function serviceStop(train, building, order, consumers) {
+  const rules = getCargoRules(train);
+  let unload = order ? order.unload : 'auto';
+  if (unload === 'auto') {
+    unload = rules.unload === 'all' ? 'auto' : rules.unload;
+  }
+  const load = order ? order.load : 'auto';
+  const buildingType = getBuildingType(building.type);
+  const isHub = !!(buildingType && buildingType.isHub);
+
+  // Unload first so processors free their inputs and hubs can restock the train
+  let unloaded = {};
+  if (unload !== 'none') {
+    unloaded = unloadCargo(train, building, unload === 'auto' ? null : unload, consumers);
+  }
+
+  let loaded = {};
+  if (load === 'auto') {
+    loaded = loadOutputs(train, building);
+    if (isHub) {
+      addAmounts(loaded, loadForConsumers(train, building, consumers));
+    }
+  } else if (load !== 'none' && acceptsCargo(train, load)) {
+    loaded = loadOutputs(train, building, load);
+    if (isHub) {
+      const taken = takeFromHub(building, load, getFreeSpace(train, load));
+      if (taken > 0) {
+        addAmounts(loaded, { [load]: loadCargo(train, load, taken) });
+      }
+    }
+  }
+
+  return { unloaded, loaded };
+}
+
+/**
+ * Note what a train picked up and delivered at a building in its history. The history
+ * lists visits: while a train stays at a stop, what it picks up or delivers there is
+ * added to that visit's entries.
+ * @param {Object} train - The train object
+ * @param {Object} building - The building instance serviced
+ * @param {Object} result - { unloaded, loaded } from serviceStop
+ * @param {boolean} [sameVisit] - The train has not left the building since it was last serviced
+ */
+export function recordCargoHistory(train, building, result, sameVisit = false) {
+  if (!Array.isArray(train.history)) train.history = [];
+  if (!sameVisit) {
+    train.visit = (train.visit || 0) + 1;
+  }
+
+  const tileKey = `${building.col},${building.row}`;
+  const entries = [
+    ['delivery', result.unloaded],
+    ['pickup', result.loaded],
+  ];
+  for (let [kind, resources] of entries) {
+    if (Object.keys(resources).length === 0) continue;
+
+    const current = train.history.find(
+      (entry) => entry.visit === train.visit && entry.tileKey === tileKey && entry.kind === kind
+    );
+    if (current) {
+      addAmounts(current.resources, resources);
+      current.time = Date.now();
+      continue;
+    }
+
+    train.history.unshift({
+      time: Date.now(),
+      visit: train.visit,
+      kind,
+      tileKey,
+      buildingType: building.type,
+      resources: { ...resources },
+    });
+  }
+  train.history.length = Math.min(train.history.length, CARGO_HISTORY_LENGTH);
+}
+
+/**
+ * Unload the cargo a building takes: hubs take everything that fits, other buildings
+ * take only what their active recipe consumes, less what higher priority buildings
+ * among the consumers that are stops on the train's route still need
+ * @param {Object} train - The train object
+ * @param {Object} building - The building instance the train is passing
+ * @param {string} [onlyType] - Unload only this resource
+ * @param {Array} [consumers] - Buildings connected to the building by track
+ * @returns {Object} - Map of resource type to amount unloaded
+ */
+export function unloadCargo(train, building, onlyType, consumers = []) {
+  const buildingType = getBuildingType(building.type);
+  if (!buildingType) return {};
+
+  let wanted;
+  if (buildingType.isHub) {
+    wanted = Object.entries(train.cargo).map(([type, amount]) => ({ type, amount }));
+  } else {
+    wanted = getInputDemand(building, buildingType);
+  }
+
+  const unloaded = {};
+  for (let { type, amount } of wanted) {
+    if (onlyType && type !== onlyType) continue;
+
+    let carried = train.cargo[type] || 0;
+    if (!buildingType.isHub) {
+      carried -= getHigherPriorityDemand(train, building, consumers, type);
+    }
+    if (carried <= 0) continue;
+
+    const delivered = addResourceToBuilding(building, type, Math.min(carried, amount));
+    if (delivered <= 0) continue;
+
+    removeCargo(train, type, delivered);
+    unloaded[type] = delivered;
+  }
+
+  return unloaded;
+}
+
+// How much of a resource the train's other stops that rank above a building still take.
+// Buildings off the route never get the cargo, and paused ones are not waiting for it.
+function getHigherPriorityDemand(train, building, consumers, resourceType) {
+  const routeStops = (train.orders || []).map((order) => order.tileKey);
+  const priority = getBuildingPriority(building);
+  let demand = 0;
+  for (let other of consumers) {
+    if (other === building || other.paused || getBuildingPriority(other) <= priority) continue;
+    if (!routeStops.includes(`${other.col},${other.row}`)) continue;
+    const otherType = getBuildingType(other.type);
+    if (!otherType || otherType.isHub) continue;
+
+    const need = getInputDemand(other, otherType).find((item) => item.type === resourceType);
+    if (need) demand += need.amount;
+  }
+  return demand;
+}
+
+/**
+ * Pick up a building's outputs into the wagons that can carry them
+ * @param {Object} train - The train object
+ * @param {Object} building - The building instance the train is passing
+ * @param {string} [onlyType] - Pick up only this resource
+ * @returns {Object} - Map of resource type to amount loaded
+ */
+export function loadOutputs(train, building, onlyType) {
+  const loaded = {};
+  if (!building.inventory || !building.inventory.outputs) return loaded;
+
+  for (let resourceType in building.inventory.outputs) {
+    if (onlyType && resourceType !== onlyType) continue;
+    if (!acceptsCargo(train, resourceType)) continue;
+
+    const spaceLeft = getFreeSpace(train, resourceType);
+    if (spaceLeft <= 0) continue;
+
+    const pickedUp = removeResourceFromBuilding(
+      building,
+      resourceType,
+      Math.min(building.inventory.outputs[resourceType], spaceLeft)
+    );
+    if (pickedUp > 0) {
+      loadCargo(train, resourceType, pickedUp);
+      loaded[resourceType] = pickedUp;
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Pick up hub stock that buildings reachable from the hub consume, building by building
+ * with high priority buildings first, so they get the train's space when it is short.
+ * Cargo already on the train counts towards the highest priority needs.
+ * @param {Object} train - The train object
+ * @param {Object} hub - The hub building instance the train is passing
+ * @param {Array} consumers - Buildings connected to the hub by track
+ * @returns {Object} - Map of resource type to amount loaded
+ */
+export function loadForConsumers(train, hub, consumers) {
+  const onBoard = { ...train.cargo };
+
+  const loaded = {};
+  for (let { type, amount } of getNetworkDemand(consumers)) {
+    if (!acceptsCargo(train, type)) continue;
+
+    const covered = Math.min(onBoard[type] || 0, amount);
+    onBoard[type] = (onBoard[type] || 0) - covered;
+    const wanted = Math.min(amount - covered, getFreeSpace(train, type));
+    if (wanted <= 0) continue;
+
+    const taken = takeFromHub(hub, type, wanted);
+    if (taken > 0) {
+      addAmounts(loaded, { [type]: loadCargo(train, type, taken) });
+    }
+  }
+
+  return loaded;
+}
+
+function addAmounts(total, amounts) {
+  for (let [resourceType, amount] of Object.entries(amounts)) {
+    total[resourceType] = (total[resourceType] || 0) + amount;
+  }
+}
+
+// The input demand of every non-hub building in the list, one { type, amount } per
+// building and resource, highest priority buildings first
+function getNetworkDemand(buildings) {
+  const byPriority = [...buildings].sort((a, b) => getBuildingPriority(b) - getBuildingPriority(a));
+
+  const demand = [];
+  for (let building of byPriority) {
+    const buildingType = getBuildingType(building.type);
+    if (!buildingType || buildingType.isHub) continue;
+
+    demand.push(...getInputDemand(building, buildingType));
+  }
+  return demand;
+}
@@ -0,0 +1,239 @@
+// trainInspector.js - Side panel for one train: live state, cargo, route and recent stops
+import { getBuildingType } from './buildingTypes.js';
+import { getResourceType, getTrainType } from './ruleset.js';
+import { getCurrentOrder } from './trainRoutes.js';
+import { getCargoAmount } from './trainCargo.js';
+import { addInspectorStyles } from './inspectorStyles.js';
+
+export class TrainInspector {
+  /**
+   * @param {Object} gameState - The game state object
+   * @param {Object} signals - The SignalSystem, to tell when a train waits at a signal
+   * @param {Object} actions - Callbacks the panel's buttons use:
+   *   reverse(train), toggleStopped(train), sendToDepot(train) and remove(train)
+   */
+  constructor(gameState, signals, actions) {
+    this.gameState = gameState;
+    this.signals = signals;
+    this.actions = actions;
+    this.trainId = null;
+
+    this.createInspectorHTML();
+
+    // Speed, position and cargo change every step
+    this.refreshInterval = setInterval(() => this.update(), 500);
+  }
+
+  createInspectorHTML() {
+    document.body.insertAdjacentHTML(
+      'beforeend',
+      '<div id="train-inspector"><div id="train-inspector-title"></div><div id="train-inspector-status"></div><div id="train-inspector-actions"></div></div>'
+    );
+
+    if (!document.getElementById('train-inspector-styles')) {
+      const style = document.createElement('style');
+      style.id = 'train-inspector-styles';
+      style.textContent = `
+        #train-inspector {
+          display: none;
+          position: absolute;
+          top: 10px;
+          left: 50%;
+          transform: translateX(-50%);
+          width: 260px;
+          max-height: calc(100vh - 120px);
+          overflow-y: auto;
+          background: rgba(0, 0, 0, 0.85);
+          color: white;
+          padding: 10px;
+          border-radius: 5px;
+          font-size: 12px;
+          z-index: 1000;
+        }
+        #train-inspector.visible {
+          display: block;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+    addInspectorStyles();
+  }
+
+  /**
+   * Open the panel for a train
+   * @param {number} trainId - Train ID
+   */
+  show(trainId) {
+    this.trainId = trainId;
+    this.render();
+  }
+
+  hide() {
+    this.trainId = null;
+    this.render();
+  }
+
+  getTrain() {
+    return this.gameState.trains.find(train => train.id === this.trainId) || null;
+  }
+
+  // Draw the whole panel; the buttons are only redrawn here so a click is never lost to a refresh
+  render() {
+    const container = document.getElementById('train-inspector');
+    const title = document.getElementById('train-inspector-title');
+    const actions = document.getElementById('train-inspector-actions');
+    if (!container || !title || !actions) return;
+
+    const train = this.getTrain();
+    if (!train) this.trainId = null;
+    container.classList.toggle('visible', !!train);
+    title.innerHTML = '';
+    actions.innerHTML = '';
+    if (!train) {
+      this.update();
+      return;
+    }
+
+    const trainType = train.typeId && getTrainType(train.typeId);
+    title.innerHTML = `
+      <b>${trainType ? `${trainType.icon || '🚂'} ${trainType.name}` : '🚂 Train'} ${train.id}</b>
+      <button class="order-btn" data-action="close" title="Close" style="float: right;">✕</button>
+    `;
+    title.querySelector('[data-action="close"]').addEventListener('click', () => this.hide());
+
+    actions.appendChild(this.createActions(train));
+    this.renderedStopped = !!train.stopped;
+    this.update();
+  }
+
+  // Only the live part: state, cargo and recent stops
+  update() {
+    const container = document.getElementById('train-inspector-status');
+    if (!container || this.trainId === null) {
+      if (container) container.innerHTML = '';
+      return;
+    }
+
+    const train = this.getTrain();
+    if (!train) {
+      this.hide();
+      return;
+    }
+
+    // Arriving at a depot stops the train, which changes the Stop/Start button
+    if (!!train.stopped !== this.renderedStopped) {
+      this.render();
+      return;
+    }
+
+    container.innerHTML = '';
+    const order = getCurrentOrder(train);
+    const topSpeed = train.speed || 0;
+    const velocity = train.velocity || 0;
+    const speedShare = topSpeed > 0 ? Math.round((velocity / topSpeed) * 100) : 0;
+
+    const rows = [
+      ['Status', this.getStatus(train)],
+      ['Speed', `${(velocity * 60).toFixed(2)} edges/s (${speedShare}%)`],
+      ['Track', `${train.edgeKey} @ ${Math.round(train.progress * 100)}%`],
+      ['Heading', order ? this.getStopLabel(order.tileKey) : 'No route (wandering)'],
+      ['Cargo', `${Math.floor(getCargoAmount(train))}/${train.cargoCapacity}`],
+    ];
+    for (let [label, value] of rows) {
+      const row = document.createElement('div');
+      row.className = 'inspector-row';
+      row.innerHTML = `<span>${label}</span><span>${value}</span>`;
+      container.appendChild(row);
+    }
+
+    const cargo = Object.entries(train.cargo).filter(([, amount]) => amount > 0);
+    if (cargo.length > 0) {
+      const cargoList = document.createElement('div');
+      cargoList.className = 'train-detail';
+      cargoList.textContent = cargo.map(([resourceType, amount]) => this.formatAmount(resourceType, amount)).join(', ');
+      container.appendChild(cargoList);
+    }
+
+    container.appendChild(this.createHistory(train));
+  }
+
+  // What the train is doing right now, in a few words
+  getStatus(train) {
+    if (train.stopped) return (train.velocity || 0) > 0 ? '⏸ Stopping' : '⏸ Stopped';
+    if (train.waitingForLoad) return '⏳ Waiting for full load';
+    if (train.dwell > 0) return '📦 Loading';
+    if (this.signals.isWaiting(train.id)) return '🚦 Waiting at signal';
+    if (train.depot) return '🏠 Heading to depot';
+    return '▶ Running';
+  }
+
+  // Newest pickups and deliveries first
+  createHistory(train) {
+    const section = document.createElement('div');
+    section.innerHTML = '<div class="inspector-heading">Recent stops</div>';
+
+    const history = train.history || [];
+    if (history.length === 0) {
+      section.insertAdjacentHTML('beforeend', '<div class="inspector-line" style="color: #888;">Nothing picked up or delivered yet</div>');
+      return section;
+    }
+
+    for (let entry of history) {
+      const buildingType = getBuildingType(entry.buildingType);
+      const place = buildingType ? `${buildingType.emoji} ${buildingType.name}` : entry.buildingType;
+      const what = Object.entries(entry.resources)
+        .map(([resourceType, amount]) => this.formatAmount(resourceType, amount))
+        .join(', ');
+
+      const item = document.createElement('div');
+      item.className = 'inspector-line';
+      item.textContent = `${new Date(entry.time).toLocaleTimeString()} ${entry.kind === 'pickup' ? '📥 Picked up' : '📤 Delivered'} ${what} at ${place} (${entry.tileKey})`;
+      section.appendChild(item);
+    }
+    return section;
+  }
+
+  createActions(train) {
+    const actions = document.createElement('div');
+    actions.className = 'inspector-actions';
+
+    const buttons = [
+      ['⇄ Reverse', () => this.actions.reverse(train)],
+      [train.stopped ? '▶ Start' : '⏸ Stop', () => this.actions.toggleStopped(train)],
+      ['🏠 Send to depot', () => this.actions.sendToDepot(train)],
+      ['🗑️ Delete', () => this.actions.remove(train)],
+    ];
+    for (let [label, action] of buttons) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        action();
+        this.render();
+      });
+      actions.appendChild(button);
+    }
+    return actions;
+  }
+
+  formatAmount(resourceType, amount) {
+    const resource = getResourceType(resourceType);
+    return `${Math.floor(amount)} ${resource ? resource.icon || resource.name : resourceType}`;
+  }
+
+  getStopLabel(tileKey) {
+    const building = this.gameState.placed_buildings[tileKey];
+    const buildingType = building && getBuildingType(building.type);
+    if (!buildingType) {
+      return `⚠️ Missing building (${tileKey})`;
+    }
+    return `${buildingType.emoji} ${buildingType.name} (${tileKey})`;
+  }
+
+  destroy() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+    }
+    const container = document.getElementById('train-inspector');
+    if (container) container.remove();
+  }
+}
@@ -0,0 +1,471 @@
+// trainPanel.js - Train list and route (order) editor
+import { getBuildingType } from './buildingTypes.js';
+import { getResources, getResourceType, getTrainType, getWagonType } from './ruleset.js';
+import { createOrder, getCurrentOrder } from './trainRoutes.js';
+import { getCargoRules } from './trainCargo.js';
+
+export class TrainPanel {
+  constructor(gameState, router, signals) {
+    this.gameState = gameState;
+    this.router = router;
+    this.signals = signals;
+    this.selectedTrainId = null;
+    this.pickingStop = false;
+
+    // Which order was highlighted when the editor was last drawn
+    this.renderedOrderIndex = null;
+
+    this.createTrainPanelHTML();
+    this.init();
+  }
+
+  createTrainPanelHTML() {
+    const controlsDiv = document.getElementById('controls');
+    if (!controlsDiv) {
+      console.error('Controls div not found!');
+      return;
+    }
+
+    const trainHTML = `
+      <div id="train-section">
+        <button class="mode-button" id="train-panel-toggle">🚂 Trains</button>
+        <div id="train-panel">
+          <div id="train-list"></div>
+          <div id="train-orders"></div>
+          <div id="train-message"></div>
+        </div>
+      </div>
+    `;
+
+    controlsDiv.insertAdjacentHTML('beforeend', trainHTML);
+
+    if (!document.getElementById('train-panel-styles')) {
+      const style = document.createElement('style');
+      style.id = 'train-panel-styles';
+      style.textContent = `
+        #train-panel {
+          display: none;
+          margin-top: 5px;
+          max-width: 280px;
+        }
+        #train-panel.visible {
+          display: block;
+        }
+        .train-item {
+          background: #2a2a2a;
+          border: 1px solid #555;
+          border-radius: 4px;
+          padding: 4px 8px;
+          margin: 4px 0;
+          font-size: 12px;
+          cursor: pointer;
+        }
+        .train-item.selected {
+          border-color: #4a9eff;
+        }
+        .train-detail {
+          font-size: 10px;
+          color: #aaa;
+          margin-top: 2px;
+        }
+        .order-item {
+          background: #2a2a2a;
+          border: 1px solid #555;
+          border-radius: 4px;
+          padding: 4px 6px;
+          margin: 4px 0;
+          font-size: 11px;
+        }
+        .order-item.current {
+          border-color: #ffcc00;
+        }
+        .order-item select {
+          font-size: 10px;
+          margin: 2px 4px 0 0;
+        }
+        .order-btn {
+          background: #444;
+          color: white;
+          border: 1px solid #666;
+          border-radius: 3px;
+          padding: 1px 5px;
+          font-size: 10px;
+          cursor: pointer;
+          margin-left: 2px;
+        }
+        #train-message {
+          font-size: 11px;
+          color: #ffcc00;
+          min-height: 14px;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+
+  init() {
+    const toggle = document.getElementById('train-panel-toggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('click', () => {
+      const panel = document.getElementById('train-panel');
+      panel.classList.toggle('visible');
+      toggle.classList.toggle('active', panel.classList.contains('visible'));
+      if (!panel.classList.contains('visible')) {
+        this.setPickingStop(false);
+      }
+      this.updateTrainList();
+      this.updateOrderEditor();
+    });
+
+    // Cargo and the current stop change as trains run
+    this.refreshInterval = setInterval(() => this.refresh(), 500);
+  }
+
+  isVisible() {
+    const panel = document.getElementById('train-panel');
+    return !!(panel && panel.classList.contains('visible'));
+  }
+
+  getSelectedTrain() {
+    return this.gameState.trains.find(train => train.id === this.selectedTrainId) || null;
+  }
+
+  refresh() {
+    if (!this.isVisible()) return;
+
+    this.updateTrainList();
+
+    // Redraw the editor only when the current stop moved, so open dropdowns are not reset
+    const train = this.getSelectedTrain();
+    const orderIndex = train && train.orders && train.orders.length > 0 ? train.currentOrder : null;
+    if (!train && this.selectedTrainId !== null) {
+      this.selectedTrainId = null;
+      this.setPickingStop(false);
+      this.updateOrderEditor();
+    } else if (orderIndex !== this.renderedOrderIndex) {
+      this.updateOrderEditor();
+    }
+  }
+
+  updateTrainList() {
+    const container = document.getElementById('train-list');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.gameState.trains.length === 0) {
+      container.innerHTML = '<div style="color: #888; font-size: 11px;">No trains yet - place one in Train mode</div>';
+      return;
+    }
+
+    this.gameState.trains.forEach(train => {
+      const item = document.createElement('div');
+      item.className = 'train-item';
+      if (train.id === this.selectedTrainId) {
+        item.classList.add('selected');
+      }
+
+      const cargoTotal = Object.values(train.cargo).reduce((sum, amount) => sum + amount, 0);
+      const order = getCurrentOrder(train);
+      const heading = order ? `→ ${this.getStopLabel(order.tileKey)}` : 'No route (wandering)';
+      let waiting = this.signals.isWaiting(train.id) ? ' · 🚦 waiting at signal' : '';
+      if (train.waitingForLoad) waiting += ' · ⏳ waiting for full load';
+
+      const trainType = train.typeId && getTrainType(train.typeId);
+
+      item.innerHTML = `
+        <div>${trainType ? `${trainType.icon || '🚂'} ${trainType.name}` : '🚂 Train'} ${train.id}</div>
+        <div class="train-detail">Cargo ${Math.floor(cargoTotal)}/${train.cargoCapacity} · ${heading}${waiting}</div>
+      `;
+      item.addEventListener('click', () => {
+        this.selectedTrainId = train.id;
+        this.setPickingStop(false);
+        this.updateTrainList();
+        this.updateOrderEditor();
+      });
+
+      container.appendChild(item);
+    });
+  }
+
+  updateOrderEditor() {
+    const container = document.getElementById('train-orders');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const train = this.getSelectedTrain();
+    if (!train) {
+      this.renderedOrderIndex = null;
+      return;
+    }
+    if (!train.orders) {
+      train.orders = [];
+      train.currentOrder = 0;
+    }
+    this.renderedOrderIndex = train.orders.length > 0 ? train.currentOrder : null;
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size: 11px; color: #aaa; margin-top: 6px;';
+    title.textContent = `Route of Train ${train.id}:`;
+
+    const consist = this.createConsistSummary(train);
+    if (consist) container.appendChild(consist);
+    container.appendChild(this.createCargoRulesEditor(train));
+    container.appendChild(title);
+
+    train.orders.forEach((order, index) => {
+      container.appendChild(this.createOrderItem(train, order, index));
+    });
+
+    const addButton = document.createElement('button');
+    addButton.className = 'tech-research-btn';
+    addButton.textContent = this.pickingStop ? 'Cancel' : '➕ Add stop';
+    addButton.addEventListener('click', () => this.setPickingStop(!this.pickingStop));
+    container.appendChild(addButton);
+
+    if (train.orders.length > 0) {
+      const clearButton = document.createElement('button');
+      clearButton.className = 'tech-research-btn';
+      clearButton.style.marginLeft = '4px';
+      clearButton.textContent = 'Clear route';
+      clearButton.addEventListener('click', () => {
+        train.orders = [];
+        train.currentOrder = 0;
+        this.updateOrderEditor();
+        this.updateTrainList();
+      });
+      container.appendChild(clearButton);
+    }
+  }
+
+  // One line per wagon with what it carries, e.g. "🚃 Ore Hopper: 120/300 ⛏️"
+  createConsistSummary(train) {
+    const wagons = (train.wagons || []).filter(wagon => wagon.typeId);
+    if (wagons.length === 0) return null;
+
+    const summary = document.createElement('div');
+    summary.className = 'train-detail';
+    summary.style.marginTop = '6px';
+    summary.innerHTML = wagons.map(wagon => {
+      const wagonType = getWagonType(wagon.typeId);
+      const load = Object.entries(wagon.cargo)
+        .map(([resourceType, amount]) => {
+          const resource = getResourceType(resourceType);
+          return `${Math.floor(amount)} ${resource ? resource.icon || resource.name : resourceType}`;
+        })
+        .join(', ');
+      const accepts = (wagon.accepts || [])
+        .map(resourceType => {
+          const resource = getResourceType(resourceType);
+          return resource ? resource.icon || resource.name : resourceType;
+        })
+        .join('');
+      return `🚃 ${wagonType ? wagonType.name : wagon.typeId}: ${load || 'empty'} / ${wagon.capacity}${accepts ? ` <span title="Carries">(${accepts})</span>` : ''}`;
+    }).join('<br>');
+
+    return summary;
+  }
+
+  // Which cargo the train takes, what it unloads when its orders say Auto, and how full
+  // counts as full for a full-load stop
+  createCargoRulesEditor(train) {
+    const rules = getCargoRules(train);
+    const resources = Object.values(getResources());
+
+    const editor = document.createElement('div');
+    editor.className = 'order-item';
+    editor.innerHTML = `
+      <div style="color: #aaa;" title="How full a train is counts only the wagons that can carry cargo it accepts">Cargo rules:</div>
+      <div>
+        Accept
+        ${resources.map(resource => `
+          <label title="${resource.name}" style="white-space: nowrap;">
+            <input type="checkbox" data-resource="${resource.id}" ${!rules.accept || rules.accept.includes(resource.id) ? 'checked' : ''}>${resource.icon || resource.name}
+          </label>
+        `).join('')}
+      </div>
+      <div>
+        Unload
+        <select data-field="unload">
+          ${[['all', 'All'], ['none', 'Nothing'], ...resources.map(resource => [resource.id, `Only ${resource.icon || ''} ${resource.name}`])]
+            .map(([id, label]) => `<option value="${id}" ${id === rules.unload ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+      <div>
+        Full load leaves at
+        <input type="number" data-field="minFill" min="1" max="100" step="5" value="${Math.round(rules.minFill * 100)}" style="width: 45px;">%
+      </div>
+    `;
+
+    const checkboxes = [...editor.querySelectorAll('input[data-resource]')];
+    checkboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const accepted = checkboxes.filter(box => box.checked).map(box => box.dataset.resource);
+        // Everything ticked means no filter, so resources added to the ruleset later are accepted too
+        rules.accept = accepted.length === checkboxes.length ? null : accepted;
+      });
+    });
+
+    editor.querySelector('[data-field="unload"]').addEventListener('change', (e) => {
+      rules.unload = e.target.value;
+    });
+
+    editor.querySelector('[data-field="minFill"]').addEventListener('change', (e) => {
+      const percent = Math.min(100, Math.max(1, parseInt(e.target.value, 10) || 100));
+      e.target.value = percent;
+      rules.minFill = percent / 100;
+    });
+
+    return editor;
+  }
+
+  createOrderItem(train, order, index) {
+    const item = document.createElement('div');
+    item.className = 'order-item';
+    if (index === train.currentOrder) {
+      item.classList.add('current');
+    }
+
+    const connected = this.isStopReachable(train, order.tileKey);
+
+    item.innerHTML = `
+      <div>
+        ${index + 1}. ${this.getStopLabel(order.tileKey)}
+        ${connected ? '' : '<span style="color: #ff6b6b;" title="No track connects the train to this stop">⚠️ unreachable</span>'}
+        <span style="float: right;">
+          <button class="order-btn" data-action="up" title="Move up">↑</button>
+          <button class="order-btn" data-action="down" title="Move down">↓</button>
+          <button class="order-btn" data-action="remove" title="Remove stop">✕</button>
+        </span>
+      </div>
+      <div>
+        Load ${this.createCargoSelect('load', order.load)}
+        Unload ${this.createCargoSelect('unload', order.unload)}
+      </div>
+      <label title="Wait here until the train is as full as its cargo rules ask">
+        <input type="checkbox" data-field="fullLoad" ${order.fullLoad ? 'checked' : ''}> Full load
+      </label>
+    `;
+
+    item.querySelector('[data-field="fullLoad"]').addEventListener('change', (e) => {
+      order.fullLoad = e.target.checked;
+    });
+
+    item.querySelectorAll('select').forEach(select => {
+      select.addEventListener('change', () => {
+        order[select.dataset.field] = select.value;
+      });
+    });
+
+    item.querySelectorAll('.order-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.editOrders(train, index, button.dataset.action);
+      });
+    });
+
+    return item;
+  }
+
+  createCargoSelect(field, value) {
+    const options = [
+      ['auto', 'Auto'],
+      ['none', 'Nothing'],
+      ...Object.values(getResources()).map(resource => [resource.id, `${resource.icon || ''} ${resource.name}`]),
+    ];
+
+    return `
+      <select data-field="${field}">
+        ${options.map(([id, label]) => `<option value="${id}" ${id === value ? 'selected' : ''}>${label}</option>`).join('')}
+      </select>
+    `;
+  }
+
+  editOrders(train, index, action) {
+    const orders = train.orders;
+    const current = orders[train.currentOrder];
+
+    if (action === 'up' && index > 0) {
+      [orders[index - 1], orders[index]] = [orders[index], orders[index - 1]];
+    } else if (action === 'down' && index < orders.length - 1) {
+      [orders[index + 1], orders[index]] = [orders[index], orders[index + 1]];
+    } else if (action === 'remove') {
+      orders.splice(index, 1);
+    }
+
+    // Keep heading for the same stop; if it was removed, go on to the one that took its place
+    const currentIndex = orders.indexOf(current);
+    if (currentIndex !== -1) {
+      train.currentOrder = currentIndex;
+    } else if (train.currentOrder >= orders.length) {
+      train.currentOrder = 0;
+    }
+
+    this.updateOrderEditor();
+    this.updateTrainList();
+  }
+
+  setPickingStop(picking) {
+    this.pickingStop = picking && !!this.getSelectedTrain();
+
+    const message = document.getElementById('train-message');
+    if (message) {
+      message.textContent = this.pickingStop ? 'Click a building or hub on the map to add it as a stop' : '';
+    }
+
+    if (this.isVisible()) {
+      this.updateOrderEditor();
+    }
+  }
+
+  /**
+   * Add the clicked building as a stop while picking a stop
+   * @param {number} col - Clicked tile column
+   * @param {number} row - Clicked tile row
+   * @returns {boolean} - True if the click was used by the panel
+   */
+  handleTileClick(col, row) {
+    if (!this.pickingStop) return false;
+
+    const train = this.getSelectedTrain();
+    if (!train) {
+      this.setPickingStop(false);
+      return false;
+    }
+
+    const tileKey = `${col},${row}`;
+    if (!this.gameState.placed_buildings[tileKey]) {
+      document.getElementById('train-message').textContent = 'No building there - pick a building or hub';
+      return true;
+    }
+
+    if (!train.orders) train.orders = [];
+    train.orders.push(createOrder(tileKey));
+    this.setPickingStop(false);
+    this.updateTrainList();
+
+    return true;
+  }
+
+  isStopReachable(train, tileKey) {
+    const vertices = this.router.getEdgeVertices(train.edgeKey);
+    if (!vertices) return false;
+    return this.router.findPathToTile(vertices[0], tileKey).reachable;
+  }
+
+  getStopLabel(tileKey) {
+    const building = this.gameState.placed_buildings[tileKey];
+    const buildingType = building && getBuildingType(building.type);
+    if (!buildingType) {
+      return `⚠️ Missing building (${tileKey})`;
+    }
+    return `${buildingType.emoji} ${buildingType.name} (${tileKey})`;
+  }
+
+  destroy() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+    }
+  }
+}
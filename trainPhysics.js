@@ -0,0 +1,96 @@
+// trainPhysics.js - Train motion: acceleration, braking to a stop point, terrain speed
+// limits and the slowdown from a heavy load. Distances and speeds are in track edges
+// (train.progress units) and edges per step; train.speed is the train's top speed.
+import { getResourceType } from './ruleset.js';
+
+// Steps an empty train takes to reach top speed from standstill
+const ACCELERATION_TICKS = 90;
+
+// Steps a train takes to stop from top speed. At the speeds in game-config.json this
+// stops it within a third of an edge, so looking ahead to the end of the edge is enough.
+const BRAKING_TICKS = 30;
+
+// Steps a train stands at a stop of its route while loading and unloading
+export const STOP_DWELL_TICKS = 60;
+
+// Share of top speed allowed on track between two hexes of a terrain; an edge between
+// two terrains gets the average
+const TERRAIN_SPEED_FACTORS = {
+  GRASS: 1,
+  SAND: 0.85,
+  FOREST: 0.75,
+  WATER: 0.7,
+  MOUNTAIN: 0.5,
+};
+
+// A full train runs this much slower, and accelerates this much more slowly, than an empty one
+const MAX_LOAD_SLOWDOWN = 0.4;
+
+/**
+ * Get the share of top speed allowed on an edge
+ * @param {string} terrain1 - Terrain name of hex1 (e.g. "Mountain")
+ * @param {string} terrain2 - Terrain name of hex2
+ * @returns {number} - Between 0 and 1
+ */
+export function getTerrainSpeedFactor(terrain1, terrain2) {
+  const factor = (terrain) => TERRAIN_SPEED_FACTORS[terrain.toUpperCase()] ?? 1;
+  return (factor(terrain1) + factor(terrain2)) / 2;
+}
+
+/**
+ * Get the weight of a train's cargo: each unit weighs its resource's weight (default 1)
+ * @param {Object} train - The train object
+ * @returns {number}
+ */
+export function getCargoWeight(train) {
+  let weight = 0;
+  for (let [resourceType, amount] of Object.entries(train.cargo)) {
+    const resource = getResourceType(resourceType);
+    weight += amount * (resource && resource.weight !== undefined ? resource.weight : 1);
+  }
+  return weight;
+}
+
+/**
+ * Get the share of its top speed and acceleration a train keeps under its current load
+ * @param {Object} train - The train object
+ * @returns {number} - 1 when empty, down to 1 - MAX_LOAD_SLOWDOWN at full capacity
+ */
+export function getLoadFactor(train) {
+  if (!train.cargoCapacity) return 1;
+  const load = Math.min(1, getCargoWeight(train) / train.cargoCapacity);
+  return 1 - MAX_LOAD_SLOWDOWN * load;
+}
+
+/**
+ * Move a train along its edge for one step. The train speeds up towards its speed limit
+ * and brakes so it comes to rest exactly at the stop point, never past it.
+ * @param {Object} train - The train object; velocity and dwell are updated on it
+ * @param {number} terrainFactor - From getTerrainSpeedFactor for the edge the train is on
+ * @param {number} stopDistance - Distance to where the train must stand, or Infinity
+ * @returns {number} - Distance travelled this step
+ */
+export function stepTrainMotion(train, terrainFactor, stopDistance) {
+  if (train.dwell > 0) {
+    train.dwell--;
+    train.velocity = 0;
+    return 0;
+  }
+
+  const loadFactor = getLoadFactor(train);
+  const acceleration = (train.speed / ACCELERATION_TICKS) * loadFactor;
+  const deceleration = train.speed / BRAKING_TICKS;
+
+  // Fastest speed from which the train can still stop in time
+  const stoppingSpeed = Math.sqrt(2 * deceleration * Math.max(0, stopDistance));
+  const target = Math.min(train.speed * terrainFactor * loadFactor, stoppingSpeed);
+
+  const velocity = train.velocity || 0;
+  train.velocity =
+    velocity < target
+      ? Math.min(target, velocity + acceleration)
+      : Math.max(target, velocity - deceleration);
+
+  train.velocity = Math.min(train.velocity, Math.max(0, stopDistance));
+  return train.velocity;
+}
@@ -0,0 +1,56 @@
+// trainRoutes.js - Train orders: the stops a train visits, in turn
+
+/**
+ * Create an order to visit a building
+ * @param {string} tileKey - "col,row" of the building to visit
+ * @returns {Object} - { tileKey, load, unload, fullLoad } where load/unload are 'auto', 'none'
+ *   or a resource id, and fullLoad keeps the train at the stop until it is full
+ */
+export function createOrder(tileKey) {
+  return {
+    tileKey,
+    load: 'auto',
+    unload: 'auto',
+    fullLoad: false,
+  };
+}
+
+/**
+ * Send a train to a depot: it unloads there, then stops until it is started again.
+ * Its route is kept and resumes afterwards.
+ * @param {Object} train - The train object
+ * @param {string} tileKey - "col,row" of the hub to use as depot
+ */
+export function sendToDepot(train, tileKey) {
+  train.depot = { ...createOrder(tileKey), load: 'none' };
+  train.stopped = false;
+}
+
+/**
+ * Get the order a train is currently heading for; a depot trip comes before the route
+ * @param {Object} train - The train object
+ * @returns {Object|null} - The order, or null if the train has no route
+ */
+export function getCurrentOrder(train) {
+  if (train.depot) return train.depot;
+  if (!train.orders || train.orders.length === 0) return null;
+  if (!(train.currentOrder >= 0 && train.currentOrder < train.orders.length)) {
+    train.currentOrder = 0;
+  }
+  return train.orders[train.currentOrder];
+}
+
+/**
+ * Move a train on to the next order, wrapping back to the first. A train that has
+ * reached its depot stops there instead.
+ * @param {Object} train - The train object
+ */
+export function advanceOrder(train) {
+  if (train.depot) {
+    train.depot = null;
+    train.stopped = true;
+    return;
+  }
+  if (!train.orders || train.orders.length === 0) return;
+  train.currentOrder = (train.currentOrder + 1) % train.orders.length;
+}
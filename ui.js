@@ -1,5 +1,17 @@
 // ui.js
-import { BUILDING_TYPES } from './buildingTypes.js';
+import { BUILDING_TYPES, getBuildingType } from './buildingTypes.js';
+import { getResourceType, getTechs, getTrainTypes, getTrainType } from './ruleset.js';
+import {
+  getTechStatus,
+  getMissingPrerequisites,
+  startResearch,
+  isBuildingUnlocked,
+  isTrainUnlocked,
+  getUnlockingTechs,
+} from './research.js';
+import { getConsistCapacity } from './wagons.js';
+import { getPlacementCost } from './territory.js';
+import { FOOD_RESOURCE } from './population.js';
 
 export class UIManager {
   constructor(gameState, callbacks) {
@@ -7,9 +19,18 @@ export class UIManager {
     this.callbacks = callbacks;
     this.mode = 'place';
     this.selectedBuildingType = 'farm';
+    this.selectedTrainType = Object.keys(getTrainTypes())[0] || null;
+    
+    // The ruleset may not define a farm; fall back to the first building it does define
+    if (!getBuildingType(this.selectedBuildingType)) {
+      const firstType = Object.values(BUILDING_TYPES).find(type => !type.isHub);
+      if (firstType) this.selectedBuildingType = firstType.id;
+    }
     
     this.createResourceDisplayHTML();
     this.createBuildingPaletteHTML();
+    this.createTrainPaletteHTML();
+    this.createResearchPanelHTML();
     this.init();
   }
   
@@ -79,13 +100,13 @@ export class UIManager {
           font-weight: bold;
           color: #4a9eff;
         }
-        #building-palette {
+        #building-palette, #train-palette {
           display: none;
           margin-top: 10px;
           padding-top: 10px;
           border-top: 1px solid #666;
         }
-        #building-palette.visible {
+        #building-palette.visible, #train-palette.visible {
           display: block;
         }
         .building-option {
@@ -126,9 +147,117 @@ export class UIManager {
     }
   }
   
+  createTrainPaletteHTML() {
+    const controlsDiv = document.getElementById('controls');
+    if (!controlsDiv) {
+      console.error('Controls div not found!');
+      return;
+    }
+    
+    const paletteHTML = `
+      <div id="train-palette">
+        <div style="font-size: 11px; margin-bottom: 5px; color: #aaa;">
+          Select Train:
+        </div>
+        <div id="train-options"></div>
+      </div>
+    `;
+    
+    controlsDiv.insertAdjacentHTML('beforeend', paletteHTML);
+  }
+  
+  createResearchPanelHTML() {
+    const controlsDiv = document.getElementById('controls');
+    if (!controlsDiv) {
+      console.error('Controls div not found!');
+      return;
+    }
+    
+    const researchHTML = `
+      <div id="research-section">
+        <button class="mode-button" id="research-toggle">🔬 Research</button>
+        <div id="research-panel">
+          <div id="research-list"></div>
+          <div id="research-message"></div>
+        </div>
+      </div>
+    `;
+    
+    controlsDiv.insertAdjacentHTML('beforeend', researchHTML);
+    
+    if (!document.getElementById('research-styles')) {
+      const style = document.createElement('style');
+      style.id = 'research-styles';
+      style.textContent = `
+        #research-panel {
+          display: none;
+          margin-top: 5px;
+          max-width: 260px;
+        }
+        #research-panel.visible {
+          display: block;
+        }
+        .tech-item {
+          background: #2a2a2a;
+          border: 1px solid #555;
+          border-radius: 4px;
+          padding: 6px 8px;
+          margin: 4px 0;
+          font-size: 12px;
+        }
+        .tech-item.completed {
+          border-color: #4bb543;
+        }
+        .tech-item.locked {
+          opacity: 0.5;
+        }
+        .tech-name {
+          font-weight: bold;
+        }
+        .tech-detail {
+          font-size: 10px;
+          color: #aaa;
+          margin-top: 2px;
+        }
+        .tech-progress {
+          height: 6px;
+          background: #444;
+          border-radius: 3px;
+          margin-top: 4px;
+          overflow: hidden;
+        }
+        .tech-progress-fill {
+          height: 100%;
+          background: #ffcc00;
+        }
+        .tech-research-btn {
+          background: #4a9eff;
+          color: white;
+          border: none;
+          border-radius: 3px;
+          padding: 3px 8px;
+          margin-top: 4px;
+          font-size: 11px;
+          cursor: pointer;
+        }
+        .tech-research-btn:disabled {
+          background: #555;
+          cursor: not-allowed;
+        }
+        #research-message {
+          font-size: 11px;
+          color: #ff6b6b;
+          min-height: 14px;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+  
   init() {
     this.setupModeButtons();
     this.setupBuildingPalette();
+    this.setupResearchPanel();
     this.updateResourceDisplay();
     this.startResourceRefreshLoop();
   }
@@ -139,6 +268,7 @@ export class UIManager {
       this.updateResourceDisplay();
       // Also refresh building palette to update affordability
       this.refreshBuildingPalette();
+      this.refreshResearchPanel();
     }, 500);
   }
   
@@ -150,7 +280,8 @@ export class UIManager {
   }
   
   setupModeButtons() {
-    document.querySelectorAll('.mode-button').forEach(button => {
+    // Only buttons with a data-mode switch modes; panel toggles share the look
+    document.querySelectorAll('.mode-button[data-mode]').forEach(button => {
       button.addEventListener('click', () => {
         this.setMode(button.dataset.mode);
       });
@@ -161,7 +292,7 @@ export class UIManager {
     this.mode = mode;
     
     // Update button states
-    document.querySelectorAll('.mode-button').forEach(b => b.classList.remove('active'));
+    document.querySelectorAll('.mode-button[data-mode]').forEach(b => b.classList.remove('active'));
     const activeButton = document.querySelector(`[data-mode="${mode}"]`);
     if (activeButton) {
       activeButton.classList.add('active');
@@ -176,6 +307,15 @@ export class UIManager {
       palette.classList.remove('visible');
     }
     
+    // Show/hide train palette
+    const trainPalette = document.getElementById('train-palette');
+    if (this.mode === 'train') {
+      trainPalette.classList.add('visible');
+      this.updateTrainPalette();
+    } else {
+      trainPalette.classList.remove('visible');
+    }
+    
     // Notify callback
     if (this.callbacks.onModeChange) {
       this.callbacks.onModeChange(this.mode);
@@ -228,15 +368,23 @@ export class UIManager {
       button.className = 'building-option';
       button.dataset.buildingType = buildingType.id;
       
-      const canAfford = this.canAffordBuilding(buildingType);
-      const costText = this.formatBuildingCost(buildingType);
+      const unlocked = isBuildingUnlocked(this.gameState, buildingType.id);
+      const cost = getPlacementCost(this.gameState, buildingType);
+      const canAfford = this.canAffordBuilding({ cost });
+      const costText = this.formatBuildingCost({ cost });
       
       button.innerHTML = `
-        <div>${buildingType.emoji} ${buildingType.name}</div>
+        <div>${unlocked ? buildingType.emoji : '🔒'} ${buildingType.name}</div>
         ${costText ? `<div class="building-cost ${!canAfford ? 'insufficient' : ''}">${costText}</div>` : ''}
       `;
       
-      if (!canAfford) {
+      if (!unlocked) {
+        button.classList.add('locked');
+        const techNames = getUnlockingTechs(buildingType.id).map(tech => tech.name);
+        button.title = techNames.length > 0
+          ? `Requires research: ${techNames.join(' or ')}`
+          : 'Not unlocked';
+      } else if (!canAfford) {
         button.classList.add('locked');
         button.title = 'Not enough resources';
       }
@@ -246,7 +394,7 @@ export class UIManager {
       }
       
       button.addEventListener('click', () => {
-        if (canAfford) {
+        if (unlocked && canAfford) {
           this.selectBuilding(buildingType.id);
         }
       });
@@ -255,6 +403,163 @@ export class UIManager {
     });
   }
   
+  updateTrainPalette() {
+    const container = document.getElementById('train-options');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    Object.values(getTrainTypes()).forEach(trainType => {
+      const button = document.createElement('button');
+      button.className = 'building-option';
+      button.dataset.trainType = trainType.id;
+      
+      const unlocked = isTrainUnlocked(this.gameState, trainType.id);
+      const cost = Object.keys(trainType.spawnCost || {}).length > 0 ? trainType.spawnCost : undefined;
+      const canAfford = this.canAffordBuilding({ cost });
+      const costText = this.formatBuildingCost({ cost });
+      
+      button.innerHTML = `
+        <div>${unlocked ? trainType.icon || '🚂' : '🔒'} ${trainType.name}</div>
+        <div class="building-cost">Speed ${trainType.speed} · Capacity ${getConsistCapacity(trainType)}${(trainType.wagons || []).length > 0 ? ` in ${trainType.wagons.length} wagons` : ''}</div>
+        ${costText ? `<div class="building-cost ${!canAfford ? 'insufficient' : ''}">${costText}</div>` : ''}
+      `;
+      
+      if (!unlocked) {
+        button.classList.add('locked');
+        const techNames = getUnlockingTechs(trainType.id).map(tech => tech.name);
+        button.title = techNames.length > 0
+          ? `Requires research: ${techNames.join(' or ')}`
+          : 'Not unlocked';
+      } else if (!canAfford) {
+        button.classList.add('locked');
+        button.title = 'Not enough resources';
+      }
+      
+      if (trainType.id === this.selectedTrainType) {
+        button.classList.add('selected');
+      }
+      
+      button.addEventListener('click', () => {
+        if (unlocked && canAfford) {
+          this.selectTrainType(trainType.id);
+        }
+      });
+      
+      container.appendChild(button);
+    });
+  }
+  
+  setupResearchPanel() {
+    const toggle = document.getElementById('research-toggle');
+    if (!toggle) return;
+    
+    toggle.addEventListener('click', () => {
+      const panel = document.getElementById('research-panel');
+      panel.classList.toggle('visible');
+      toggle.classList.toggle('active', panel.classList.contains('visible'));
+      this.updateResearchPanel();
+    });
+  }
+  
+  updateResearchPanel() {
+    const container = document.getElementById('research-list');
+    if (!container) return;
+    
+    const techs = Object.values(getTechs());
+    container.innerHTML = '';
+    this.researchPanelKey = this.getResearchPanelKey();
+    
+    if (techs.length === 0) {
+      container.innerHTML = '<div style="color: #888; font-size: 11px;">No technologies defined</div>';
+      return;
+    }
+    
+    techs.forEach(tech => {
+      const status = getTechStatus(this.gameState, tech.id);
+      const item = document.createElement('div');
+      item.className = `tech-item ${status}`;
+      
+      const unlockNames = (tech.unlocks || [])
+        .map(id => {
+          const unlocked = getBuildingType(id) || getTrainType(id);
+          return unlocked ? unlocked.name : id;
+        })
+        .join(', ');
+      
+      let detail = '';
+      if (status === 'completed') {
+        detail = '<div class="tech-detail">✅ Researched</div>';
+      } else if (status === 'researching') {
+        const percent = Math.floor(this.gameState.research.active.progress * 100);
+        detail = `
+          <div class="tech-detail tech-progress-text">Researching... ${percent}%</div>
+          <div class="tech-progress"><div class="tech-progress-fill" style="width: ${percent}%"></div></div>
+        `;
+      } else if (status === 'locked') {
+        const missing = getMissingPrerequisites(this.gameState, tech.id)
+          .map(id => (getTechs()[id] ? getTechs()[id].name : id));
+        detail = `<div class="tech-detail">🔒 Requires ${missing.join(', ')}</div>`;
+      } else {
+        const costText = this.formatBuildingCost({ cost: tech.cost });
+        const canAfford = this.canAffordBuilding({ cost: tech.cost });
+        detail = `
+          ${costText ? `<div class="building-cost ${!canAfford ? 'insufficient' : ''}">${costText}</div>` : ''}
+          <button class="tech-research-btn" ${!canAfford || this.gameState.research.active ? 'disabled' : ''}>Research</button>
+        `;
+      }
+      
+      item.innerHTML = `
+        <div class="tech-name">${tech.name}</div>
+        ${unlockNames ? `<div class="tech-detail">Unlocks: ${unlockNames}</div>` : ''}
+        ${detail}
+      `;
+      
+      const researchButton = item.querySelector('.tech-research-btn');
+      if (researchButton) {
+        researchButton.addEventListener('click', () => {
+          const result = startResearch(this.gameState, tech.id);
+          document.getElementById('research-message').textContent = result.started ? '' : result.reason;
+          this.updateResearchPanel();
+          this.updateResourceDisplay();
+        });
+      }
+      
+      container.appendChild(item);
+    });
+  }
+  
+  // Rebuild the list only when a tech's status or affordability changed, so a click on a
+  // Research button is not lost to a redraw; otherwise just move the progress bar
+  refreshResearchPanel() {
+    const panel = document.getElementById('research-panel');
+    if (!panel || !panel.classList.contains('visible')) return;
+    
+    if (this.getResearchPanelKey() !== this.researchPanelKey) {
+      this.updateResearchPanel();
+      return;
+    }
+    
+    const active = this.gameState.research.active;
+    const item = document.querySelector('#research-list .tech-item.researching');
+    if (!active || !item) return;
+    
+    const percent = Math.floor(active.progress * 100);
+    item.querySelector('.tech-progress-text').textContent = `Researching... ${percent}%`;
+    item.querySelector('.tech-progress-fill').style.width = `${percent}%`;
+  }
+  
+  // What the research list shows, short of the progress of the active tech
+  getResearchPanelKey() {
+    return Object.values(getTechs())
+      .map(tech => {
+        const status = getTechStatus(this.gameState, tech.id);
+        const canAfford = status === 'available' && this.canAffordBuilding({ cost: tech.cost });
+        return `${tech.id}:${status}:${canAfford}`;
+      })
+      .join('|') + `|${!!this.gameState.research.active}`;
+  }
+  
   updateResourceDisplay() {
     const container = document.getElementById('resource-totals');
     if (!container) return;
@@ -264,9 +569,13 @@ export class UIManager {
     // Clear existing display
     container.innerHTML = '';
     
+    this.appendMoney(container);
+    
     // If no resources, show a message
     if (Object.keys(hubTotals).length === 0) {
-      container.innerHTML = '<div style="color: #888; font-size: 11px;">No resources yet</div>';
+      container.insertAdjacentHTML('beforeend', '<div style="color: #888; font-size: 11px;">No resources yet</div>');
+      this.appendPopulationSummary(container);
+      this.appendStalledSummary(container);
       return;
     }
     
@@ -275,21 +584,7 @@ export class UIManager {
       const resourceItem = document.createElement('div');
       resourceItem.className = 'resource-item';
       
-      // Get emoji for resource type (you can customize this mapping)
-      const resourceEmojis = {
-        wood: '🪵',
-        iron: '⛏️',
-        coal: '🪨',
-        steel: '🔩',
-        food: '🌾',
-        ore: '⛏️',
-        stone: '🪨',
-        planks: '📏',
-        metal: '🔩',
-        // Add more as needed
-      };
-      
-      const emoji = resourceEmojis[resourceType] || '📦';
+      const emoji = this.getResourceIcon(resourceType);
       
       resourceItem.innerHTML = `
         <span>${emoji}</span>
@@ -299,6 +594,191 @@ export class UIManager {
       
       container.appendChild(resourceItem);
     });
+    
+    this.appendPopulationSummary(container);
+    this.appendStalledSummary(container);
+  }
+  
+  // Money from selling goods on the market
+  appendMoney(container) {
+    const market = this.gameState.market;
+    if (!market) return;
+    
+    const moneyItem = document.createElement('div');
+    moneyItem.className = 'resource-item';
+    moneyItem.innerHTML = `
+      <span>💰</span>
+      <span>money:</span>
+      <span class="resource-amount">${Math.floor(market.money)}</span>
+    `;
+    container.appendChild(moneyItem);
+  }
+  
+  // Residents, the workers they fill and whether food keeps up with them
+  appendPopulationSummary(container) {
+    const population = this.gameState.population;
+    if (!population || (population.residents === 0 && population.workersNeeded === 0)) return;
+    
+    const populationItem = document.createElement('div');
+    populationItem.className = 'resource-item';
+    populationItem.innerHTML = `
+      <span>👥</span>
+      <span>Population:</span>
+      <span class="resource-amount">${population.residents}</span>
+      <span style="color: ${population.workersAssigned < population.workersNeeded ? '#f39c12' : '#aaa'};">(workers ${population.workersAssigned}/${population.workersNeeded})</span>
+    `;
+    container.appendChild(populationItem);
+    
+    const balance = population.foodProduced - population.foodNeeded;
+    const foodItem = document.createElement('div');
+    foodItem.className = 'resource-item';
+    foodItem.title = `Made ${population.foodProduced.toFixed(1)}/min, needed ${population.foodNeeded.toFixed(1)}/min`;
+    foodItem.innerHTML = `
+      <span>${this.getResourceIcon(FOOD_RESOURCE)}</span>
+      <span>Food balance:</span>
+      <span class="resource-amount" style="color: ${balance < 0 ? '#e74c3c' : '#4bb543'};">${balance >= 0 ? '+' : ''}${balance.toFixed(1)}/min</span>
+    `;
+    container.appendChild(foodItem);
+  }
+  
+  // Count buildings whose production is stalled, by reason
+  appendStalledSummary(container) {
+    let outputFull = 0;
+    let missingInput = 0;
+    let depleted = 0;
+    let noWorkers = 0;
+    for (let building of Object.values(this.gameState.placed_buildings)) {
+      if (building.stallReason === 'output_full') outputFull++;
+      if (building.stallReason === 'missing_input') missingInput++;
+      if (building.stallReason === 'depleted' || building.stallReason === 'no_deposit') depleted++;
+      if (building.stallReason === 'no_workers') noWorkers++;
+    }
+    if (outputFull === 0 && missingInput === 0 && depleted === 0 && noWorkers === 0) return;
+    
+    const parts = [];
+    if (outputFull > 0) parts.push(`${outputFull} full`);
+    if (missingInput > 0) parts.push(`${missingInput} waiting for inputs`);
+    if (depleted > 0) parts.push(`${depleted} without a deposit`);
+    if (noWorkers > 0) parts.push(`${noWorkers} without workers`);
+    
+    const stalledItem = document.createElement('div');
+    stalledItem.className = 'resource-item';
+    stalledItem.style.color = outputFull > 0 ? '#e74c3c' : '#f39c12';
+    stalledItem.innerHTML = `<span>⚠️</span><span>Stalled: ${parts.join(', ')}</span>`;
+    container.appendChild(stalledItem);
+  }
+  
+  // Get emoji for resource type, preferring the icon from the ruleset
+  getResourceIcon(resourceType) {
+    const resourceEmojis = {
+      wood: '🪵',
+      iron: '⛏️',
+      coal: '🪨',
+      steel: '🔩',
+      food: '🌾',
+      ore: '⛏️',
+      stone: '🪨',
+      planks: '📏',
+      metal: '🔩',
+      // Add more as needed
+    };
+    
+    const resourceDef = getResourceType(resourceType);
+    return (resourceDef && resourceDef.icon) || resourceEmojis[resourceType] || '📦';
+  }
+  
+  // Describe a recipe as e.g. "2 🪵 → 1 📏 + 1 🟫"
+  formatRecipe(recipe) {
+    const formatSide = (items) => items
+      .map(item => `${item.amount} ${this.getResourceIcon(item.type)}`)
+      .join(' + ');
+    
+    const inputs = formatSide(recipe.consumes || []);
+    const outputs = formatSide(recipe.produces || []);
+    return inputs ? `${inputs} → ${outputs}` : `→ ${outputs}`;
+  }
+  
+  // Show a short message over the map, e.g. why an action was refused
+  showNotification(message, type = 'info') {
+    let container = document.getElementById('notifications');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'notifications';
+      container.style.cssText = `
+        position: absolute;
+        bottom: 70px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 6px;
+        pointer-events: none;
+        z-index: 1500;
+      `;
+      document.body.appendChild(container);
+    }
+    
+    const colors = {
+      info: '#4a9eff',
+      success: '#4bb543',
+      error: '#dc3545',
+    };
+    
+    const note = document.createElement('div');
+    note.textContent = message;
+    note.style.cssText = `
+      background: rgba(0, 0, 0, 0.85);
+      color: white;
+      border-left: 4px solid ${colors[type] || colors.info};
+      padding: 8px 14px;
+      border-radius: 4px;
+      font-size: 13px;
+    `;
+    container.appendChild(note);
+    
+    setTimeout(() => note.remove(), 3000);
+  }
+  
+  // Show a dismissible list of problems found in the ruleset file
+  showRulesetErrors(errors) {
+    let box = document.getElementById('ruleset-errors');
+    if (!box) {
+      box = document.createElement('div');
+      box.id = 'ruleset-errors';
+      box.style.cssText = `
+        position: absolute;
+        top: 10px;
+        left: 50%;
+        transform: translateX(-50%);
+        max-width: 500px;
+        max-height: 60vh;
+        overflow-y: auto;
+        background: rgba(120, 20, 30, 0.95);
+        color: white;
+        padding: 12px 16px;
+        border: 1px solid #dc3545;
+        border-radius: 6px;
+        font-size: 12px;
+        z-index: 2000;
+      `;
+      document.body.appendChild(box);
+    }
+    
+    box.innerHTML = `
+      <div style="font-weight: bold; margin-bottom: 6px;">⚠️ game-config.json was not applied, using built-in rules</div>
+      <ul style="margin: 0 0 8px 0; padding-left: 18px;"></ul>
+      <button class="mode-button" style="margin: 0;">Dismiss</button>
+    `;
+    
+    const list = box.querySelector('ul');
+    errors.forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      list.appendChild(item);
+    });
+    
+    box.querySelector('button').addEventListener('click', () => box.remove());
   }
   
   selectBuilding(buildingTypeId) {
@@ -310,10 +790,19 @@ export class UIManager {
     }
   }
   
+  selectTrainType(trainTypeId) {
+    this.selectedTrainType = trainTypeId;
+    this.updateTrainPalette();
+  }
+  
   getMode() {
     return this.mode;
   }
   
+  getSelectedTrainType() {
+    return this.selectedTrainType;
+  }
+  
   getSelectedBuilding() {
     return this.selectedBuildingType;
   }
@@ -322,6 +811,9 @@ export class UIManager {
     if (this.mode === 'building') {
       this.updateBuildingPalette();
     }
+    if (this.mode === 'train') {
+      this.updateTrainPalette();
+    }
   }
   
   // Call this method periodically to refresh the resource display
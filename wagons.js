@@ -0,0 +1,166 @@
+// wagons.js - Train consists: the wagons behind a locomotive and the cargo each one holds
+//
+// Cargo lives in train.wagons; train.cargo and train.cargoCapacity are kept as totals over
+// the wagons so code that only needs the whole load can keep reading them.
+import { getWagonType } from './ruleset.js';
+
+/**
+ * Build the wagons for a new train. A train type without wagons carries everything in the
+ * locomotive's own hold, sized by its cargoCapacity.
+ * @param {Object} trainType - Train type from the ruleset
+ * @returns {Array} - Wagons: { typeId, capacity, accepts, cargo }, accepts null for any cargo
+ */
+export function createWagons(trainType) {
+  const wagons = (trainType.wagons || [])
+    .map((wagonId) => getWagonType(wagonId))
+    .filter((wagonType) => wagonType)
+    .map((wagonType) => ({
+      typeId: wagonType.id,
+      capacity: wagonType.capacity,
+      accepts: wagonType.cargo && wagonType.cargo.length > 0 ? [...wagonType.cargo] : null,
+      cargo: {},
+    }));
+
+  return wagons.length > 0 ? wagons : [createHold(trainType.cargoCapacity)];
+}
+
+// The locomotive's hold: takes any cargo, several kinds at once
+function createHold(capacity) {
+  return { typeId: null, capacity, accepts: null, mixed: true, cargo: {} };
+}
+
+/**
+ * Give a train from an older save a consist: all its cargo goes in the locomotive's hold
+ * @param {Object} train - The train object
+ */
+export function ensureWagons(train) {
+  if (!Array.isArray(train.wagons)) {
+    train.wagons = [createHold(train.cargoCapacity)];
+    train.wagons[0].cargo = { ...train.cargo };
+  }
+  if (!Array.isArray(train.trail)) {
+    train.trail = [];
+  }
+  syncTrainCargo(train);
+}
+
+// Wagons hold one kind of cargo at a time, out of the kinds they accept
+function canLoad(wagon, resourceType) {
+  if (wagon.accepts && !wagon.accepts.includes(resourceType)) return false;
+  if (wagon.mixed) return true;
+  const carried = Object.keys(wagon.cargo);
+  return carried.length === 0 || carried[0] === resourceType;
+}
+
+function getWagonLoad(wagon) {
+  return Object.values(wagon.cargo).reduce((sum, amount) => sum + amount, 0);
+}
+
+/**
+ * Get how much more of a resource a train can take
+ * @param {Object} train - The train object
+ * @param {string} resourceType - Resource type
+ * @returns {number}
+ */
+export function getFreeSpace(train, resourceType) {
+  let space = 0;
+  for (let wagon of train.wagons) {
+    if (canLoad(wagon, resourceType)) {
+      space += Math.max(0, wagon.capacity - getWagonLoad(wagon));
+    }
+  }
+  return space;
+}
+
+/**
+ * Load cargo into the wagons that can take it, topping up wagons that already carry it first
+ * @param {Object} train - The train object
+ * @param {string} resourceType - Resource type
+ * @param {number} amount - Amount to load
+ * @returns {number} - Amount loaded
+ */
+export function loadCargo(train, resourceType, amount) {
+  const wagons = train.wagons
+    .filter((wagon) => canLoad(wagon, resourceType))
+    .sort((a, b) => (b.cargo[resourceType] ? 1 : 0) - (a.cargo[resourceType] ? 1 : 0));
+
+  let remaining = amount;
+  for (let wagon of wagons) {
+    if (remaining <= 0) break;
+    const loaded = Math.min(remaining, wagon.capacity - getWagonLoad(wagon));
+    if (loaded <= 0) continue;
+    wagon.cargo[resourceType] = (wagon.cargo[resourceType] || 0) + loaded;
+    remaining -= loaded;
+  }
+
+  syncTrainCargo(train);
+  return amount - remaining;
+}
+
+/**
+ * Take cargo out of the wagons, emptying the rearmost wagons first
+ * @param {Object} train - The train object
+ * @param {string} resourceType - Resource type
+ * @param {number} amount - Amount to remove
+ * @returns {number} - Amount removed
+ */
+export function removeCargo(train, resourceType, amount) {
+  let remaining = amount;
+  for (let i = train.wagons.length - 1; i >= 0 && remaining > 0; i--) {
+    const wagon = train.wagons[i];
+    const carried = wagon.cargo[resourceType] || 0;
+    const removed = Math.min(remaining, carried);
+    if (removed <= 0) continue;
+
+    wagon.cargo[resourceType] = carried - removed;
+    if (wagon.cargo[resourceType] <= 0) {
+      delete wagon.cargo[resourceType];
+    }
+    remaining -= removed;
+  }
+
+  syncTrainCargo(train);
+  return amount - remaining;
+}
+
+/**
+ * Recompute train.cargo and train.cargoCapacity from the wagons
+ * @param {Object} train - The train object
+ */
+export function syncTrainCargo(train) {
+  // Keep the same cargo object, other code may hold a reference to it
+  for (let resourceType in train.cargo) {
+    delete train.cargo[resourceType];
+  }
+  let capacity = 0;
+  for (let wagon of train.wagons) {
+    capacity += wagon.capacity;
+    for (let [resourceType, amount] of Object.entries(wagon.cargo)) {
+      train.cargo[resourceType] = (train.cargo[resourceType] || 0) + amount;
+    }
+  }
+  train.cargoCapacity = capacity;
+}
+
+/**
+ * Total capacity of a train type's consist, for showing before one is built
+ * @param {Object} trainType - Train type from the ruleset
+ * @returns {number}
+ */
+export function getConsistCapacity(trainType) {
+  return createWagons(trainType).reduce((sum, wagon) => sum + wagon.capacity, 0);
+}
+
+/**
+ * Remember a vertex the locomotive passed, so wagons can be drawn trailing along the
+ * track behind it. Only as many vertices are kept as the wagons can reach back over.
+ * @param {Object} train - The train object
+ * @param {string} vertexKey - Vertex the locomotive just passed
+ */
+export function recordTrailVertex(train, vertexKey) {
+  if (!Array.isArray(train.trail)) train.trail = [];
+  if (train.trail[0] === vertexKey) return;
+
+  train.trail.unshift(vertexKey);
+  train.trail.length = Math.min(train.trail.length, train.wagons.length + 2);
+}
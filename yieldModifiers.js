@@ -0,0 +1,79 @@
+// yieldModifiers.js - Production bonuses from what surrounds a building
+//
+// A building type lists yieldModifiers, each matching neighbouring hexes by terrain or by
+// the building on them: { terrain: 'FOREST', bonus: 0.1, max: 6 } adds 10% production
+// speed for each adjacent Forest hex, counting at most 6. Bonuses add up, so a
+// Lumberyard with three Forest neighbours runs at ×1.3.
+import { getNeighbor } from './hexUtils.js';
+import { getBuildingType } from './buildingTypes.js';
+
+/**
+ * Describe the six hexes around a tile
+ * @param {number} col - Tile column
+ * @param {number} row - Tile row
+ * @param {Function} getTerrain - (col, row) => terrain name, e.g. "Forest"
+ * @param {Object} placedBuildings - gameState.placed_buildings
+ * @returns {Array} - { terrain, building } per side, terrain upper case and building the type id or null
+ */
+export function getNeighborhood(col, row, getTerrain, placedBuildings) {
+  const neighborhood = [];
+  for (let side = 0; side < 6; side++) {
+    const neighbor = getNeighbor(col, row, side);
+    const building = placedBuildings[`${neighbor.col},${neighbor.row}`];
+    neighborhood.push({
+      terrain: getTerrain(neighbor.col, neighbor.row).toUpperCase(),
+      building: building ? building.type : null,
+    });
+  }
+  return neighborhood;
+}
+
+/**
+ * Work out a building type's production multiplier in a neighbourhood
+ * @param {Object} buildingType - The building type definition
+ * @param {Array} neighborhood - From getNeighborhood
+ * @returns {Object} - { multiplier, matches } where matches lists { label, count, bonus }
+ *   for each modifier that applies
+ */
+export function getYieldModifiers(buildingType, neighborhood) {
+  let multiplier = 1;
+  const matches = [];
+
+  for (let modifier of buildingType.yieldModifiers || []) {
+    const matching = neighborhood.filter((hex) =>
+      modifier.terrain ? hex.terrain === modifier.terrain : hex.building === modifier.building
+    ).length;
+    const count = Math.min(matching, modifier.max || 6);
+    if (count === 0) continue;
+
+    const bonus = modifier.bonus * count;
+    multiplier += bonus;
+    matches.push({ label: getModifierLabel(modifier), count, bonus });
+  }
+
+  return { multiplier: Math.max(0, multiplier), matches };
+}
+
+/**
+ * Short text for a multiplier, e.g. "×1.30 (3 Forest +30%)"
+ * @param {Object} yieldResult - From getYieldModifiers
+ * @returns {string}
+ */
+export function formatYieldModifiers(yieldResult) {
+  const text = `×${yieldResult.multiplier.toFixed(2)}`;
+  if (yieldResult.matches.length === 0) return text;
+
+  const parts = yieldResult.matches.map((match) => {
+    const percent = Math.round(match.bonus * 100);
+    return `${match.count} ${match.label} ${percent >= 0 ? '+' : ''}${percent}%`;
+  });
+  return `${text} (${parts.join(', ')})`;
+}
+
+function getModifierLabel(modifier) {
+  if (modifier.terrain) {
+    return modifier.terrain.charAt(0) + modifier.terrain.slice(1).toLowerCase();
+  }
+  const buildingType = getBuildingType(modifier.building);
+  return buildingType ? buildingType.name : modifier.building;
+}